@@ -43,6 +43,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (data.success && data.username) {
                     usernameElement.textContent = data.username;
                 }
+                const roleElement = usernameElement.nextElementSibling;
+                if (data.success && data.role && roleElement) {
+                    roleElement.textContent = data.role.replace(/(^|-)(\w)/g, (match, dash, letter) => (dash ? ' ' : '') + letter.toUpperCase());
+                }
             })
             .catch(err => console.error('Error fetching auth status:', err));
     }
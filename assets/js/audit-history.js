@@ -0,0 +1,143 @@
+// Shared "History" modal for the admin list pages. Shows the audit log of one
+// record (and its photos, navigation steps and links) from /api/admin/audit.
+// Relies on the page's .modal / .modal-content styles.
+// History buttons stay hidden unless the account's role may read the audit log.
+
+document.head.insertAdjacentHTML('beforeend',
+    '<style>html:not(.audit-allowed) [onclick^="showHistory"] { display: none !important; }</style>');
+
+fetch('/api/check-auth')
+    .then(res => res.json())
+    .then(data => {
+        if (data.success && data.can_view_audit) document.documentElement.classList.add('audit-allowed');
+    })
+    .catch(err => console.error('Error checking audit access:', err));
+
+const AUDIT_ACTION_STYLES = {
+    create: { label: 'Created', color: 'text-green-600' },
+    update: { label: 'Updated', color: 'text-primary' },
+    delete: { label: 'Deleted', color: 'text-red-500' },
+    restore: { label: 'Restored', color: 'text-green-600' }
+};
+
+let auditHistory = { entityType: null, entityId: null, entries: [], total: 0 };
+
+function auditEscape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function ensureHistoryModal() {
+    if (document.getElementById('history-modal')) return;
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="history-modal" class="modal fixed inset-0 flex items-end sm:items-center justify-center p-4 z-[70]">
+            <div class="absolute inset-0 bg-black/40 backdrop-blur-sm" onclick="closeHistory()"></div>
+            <div class="modal-content relative w-full max-w-md bg-white rounded-3xl overflow-hidden shadow-2xl">
+                <div class="px-6 py-5 border-b border-gray-50 flex items-center justify-between">
+                    <div class="min-w-0">
+                        <h3 class="font-poppins font-bold text-gray-800 text-lg">History</h3>
+                        <p id="history-title" class="text-xs text-gray-400 truncate"></p>
+                    </div>
+                    <button onclick="closeHistory()" class="text-gray-400 hover:text-gray-600">
+                        <i class="fa-solid fa-xmark"></i>
+                    </button>
+                </div>
+                <div class="p-6 max-h-[60vh] overflow-y-auto space-y-3">
+                    <div id="history-list" class="space-y-3"></div>
+                    <button id="history-more" onclick="loadHistory(true)" class="hidden w-full py-2 text-xs font-bold text-gray-500 hover:text-primary transition">Show more</button>
+                </div>
+            </div>
+        </div>
+    `);
+}
+
+/**
+ * Open the history of a record
+ * @param {string} entityType - Model name, e.g. 'Department'
+ * @param {number} entityId - Record id
+ * @param {string} [title] - Shown under the heading
+ */
+function showHistory(entityType, entityId, title) {
+    ensureHistoryModal();
+    auditHistory = { entityType, entityId, entries: [], total: 0 };
+    document.getElementById('history-title').textContent = title || `${entityType} #${entityId}`;
+    document.getElementById('history-list').innerHTML = '<p class="text-xs text-gray-400 text-center py-6"><i class="fa-solid fa-spinner fa-spin mr-1"></i> Loading...</p>';
+    document.getElementById('history-modal').classList.add('open');
+    loadHistory();
+}
+
+function closeHistory() {
+    document.getElementById('history-modal').classList.remove('open');
+}
+
+async function loadHistory(more = false) {
+    const { entityType, entityId } = auditHistory;
+    const params = new URLSearchParams({
+        entity_type: entityType,
+        entity_id: entityId,
+        limit: 20,
+        offset: more ? auditHistory.entries.length : 0
+    });
+
+    try {
+        const res = await fetch(`/api/admin/audit?${params}`);
+        const data = await res.json();
+        if (!data.success) {
+            document.getElementById('history-list').innerHTML = `<p class="text-xs text-red-500 text-center py-6">${auditEscape(data.message)}</p>`;
+            return;
+        }
+        auditHistory.entries = more ? auditHistory.entries.concat(data.data.entries) : data.data.entries;
+        auditHistory.total = data.data.total;
+        renderHistory();
+    } catch (err) {
+        console.error('Failed to load history', err);
+    }
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '<span class="text-gray-300">empty</span>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return auditEscape(text.length > 120 ? `${text.slice(0, 120)}...` : text);
+}
+
+function renderHistory() {
+    const list = document.getElementById('history-list');
+    document.getElementById('history-more').classList.toggle('hidden', auditHistory.entries.length >= auditHistory.total);
+
+    if (auditHistory.entries.length === 0) {
+        list.innerHTML = '<p class="text-xs text-gray-400 text-center py-6">No changes recorded yet.</p>';
+        return;
+    }
+
+    list.innerHTML = auditHistory.entries.map(entry => {
+        const style = AUDIT_ACTION_STYLES[entry.action] || { label: entry.action, color: 'text-gray-600' };
+        const isChild = entry.entity_type !== auditHistory.entityType || String(entry.entity_id) !== String(auditHistory.entityId);
+        const fields = Object.keys(entry.after || entry.before || {});
+        const rows = fields.map(field => {
+            const before = entry.before ? formatAuditValue(entry.before[field]) : null;
+            const after = entry.after ? formatAuditValue(entry.after[field]) : null;
+            return `
+                <div class="text-[11px] leading-snug">
+                    <span class="font-bold text-gray-600">${auditEscape(field)}:</span>
+                    ${entry.action === 'update'
+                        ? `<span class="line-through text-gray-400">${before}</span> <i class="fa-solid fa-arrow-right text-[9px] text-gray-300"></i> <span class="text-gray-800">${after}</span>`
+                        : `<span class="text-gray-700">${after ?? before}</span>`}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="bg-gray-50 rounded-2xl p-3 space-y-1">
+                <div class="flex items-center justify-between gap-2">
+                    <p class="text-xs font-bold ${style.color}">
+                        ${style.label}${isChild ? ` ${auditEscape(entry.entity_type)} #${auditEscape(entry.entity_id)}` : ''}
+                    </p>
+                    <p class="text-[10px] text-gray-400 shrink-0">${new Date(entry.created_at).toLocaleString()}</p>
+                </div>
+                <p class="text-[10px] text-gray-500">
+                    <i class="fa-solid fa-user text-[9px] mr-1"></i>${auditEscape(entry.username || 'unknown')}${entry.ip_address ? ` &middot; ${auditEscape(entry.ip_address)}` : ''}
+                </p>
+                <div class="pt-1 space-y-0.5">${rows}</div>
+            </div>
+        `;
+    }).join('');
+}
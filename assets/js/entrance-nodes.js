@@ -0,0 +1,30 @@
+// Shared helpers for the "Entrance Nodes" picker on the department, office,
+// facility and event forms. The selected nodes are what /api/route resolves
+// a destination like `office:12` to.
+
+async function loadEntranceNodeOptions(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    try {
+        const res = await fetch('/api/nodes');
+        const data = await res.json();
+        if (data.success) {
+            select.innerHTML = data.data.map(node => `
+                <option value="${node.node_id}">${node.node_code} - ${node.name}${node.building ? ` (${node.building}, Floor ${node.floor_level})` : ''}</option>
+            `).join('');
+        }
+    } catch (err) {
+        console.error('Failed to load entrance nodes', err);
+    }
+}
+
+function setSelectedEntranceNodes(selectId, nodes) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    const selectedIds = (nodes || []).map(node => String(node.node_id));
+    Array.from(select.options).forEach(option => {
+        option.selected = selectedIds.includes(option.value);
+    });
+}
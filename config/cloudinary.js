@@ -19,6 +19,9 @@ const storage = new CloudinaryStorage({
     if (req.originalUrl.includes('staff')) folder = 'campus_navigator/personnel';
     if (req.originalUrl.includes('facilities')) folder = 'campus_navigator/facilities';
     if (req.originalUrl.includes('navigations')) folder = 'campus_navigator/navigations';
+    if (req.originalUrl.includes('nodes')) folder = 'campus_navigator/nodes';
+    if (req.originalUrl.includes('floor-plans')) folder = 'campus_navigator/floor_plans';
+    if (req.originalUrl.includes('tour-')) folder = 'campus_navigator/tours';
     
     return {
       folder: folder,
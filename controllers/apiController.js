@@ -1,26 +1,115 @@
 const { Sequelize } = require('sequelize');
 const bcrypt = require('bcryptjs');
-const { Department, Campus, Office, Program, Event, HeadOfficer, Staff, Facility, CampusPhoto, OfficePhoto, Photo, Navigation, FacilityPhoto, User } = require('../models/index');
+const { sequelize, Department, Campus, Office, Program, Event, HeadOfficer, Staff, Facility, CampusPhoto, OfficePhoto, Photo, Navigation, FacilityPhoto, Nodes, Edges, Closure, FloorPlan, Tour, TourStop, TourStopPhoto, User } = require('../models/index');
+const { getPathfinder, MAX_ALTERNATIVES } = require('../src/services/pathfinding');
+const { listProfiles } = require('../src/services/routingProfiles');
+const { resolveLanguage } = require('../src/services/directionMessages');
+const { edgePropertiesError, exportCampusGraph, importCampusGraph } = require('../src/services/graphGeoJson');
+const { renderRouteSvg } = require('../src/services/routeSvg');
+const { TOUR_STATUSES, findTour, saveTour } = require('../src/services/tours');
+const { ROLES, roleAllows } = require('../src/services/permissions');
+const { checkPasswordPolicy, hashPassword } = require('../src/services/passwordPolicy');
+const loginThrottle = require('../src/services/loginThrottle');
+const { ACTIONS: AUDIT_ACTIONS, getAuditLog } = require('../src/services/audit');
+const { TRASH_TYPES, moveToTrash, restoreFromTrash, findInTrash, listTrash } = require('../src/services/trash');
+
+// --- Entrance Node Helpers ---
+
+// Destination kinds that can be linked to entrance nodes, keyed by the `type` used in search results
+const DESTINATION_MODELS = {
+    department: Department,
+    office: Office,
+    facility: Facility,
+    event: Event
+};
+
+const entranceNodesInclude = {
+    model: Nodes,
+    as: 'EntranceNodes',
+    attributes: ['node_id', 'node_code', 'name', 'building', 'floor_level'],
+    through: { attributes: [] }
+};
+
+// Accepts repeated form fields, arrays or comma-separated strings; undefined means "leave unchanged".
+// Entries that are not whole numbers are kept as given so validateIdList can name them.
+const parseIdList = (value) => {
+    if (value === undefined) return undefined;
+    return [].concat(value)
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(v => v !== '')
+        .map(v => (/^\d+$/.test(v) ? Number(v) : v));
+};
+
+// Error message naming the ids of a parsed list that are malformed or do not exist, otherwise null
+const validateIdList = async (model, ids, field) => {
+    if (!ids || ids.length === 0) return null;
+
+    const malformed = ids.filter(id => !Number.isInteger(id));
+    if (malformed.length > 0) return `${field} must be numeric ids (invalid: ${malformed.join(', ')})`;
+
+    const key = model.primaryKeyAttribute;
+    const existing = new Set((await model.findAll({ where: { [key]: ids }, attributes: [key] })).map(row => row[key]));
+    const missing = [...new Set(ids)].filter(id => !existing.has(id));
+    return missing.length > 0 ? `${field} references ids that do not exist: ${missing.join(', ')}` : null;
+};
+
+const setEntranceNodes = async (model, id, value) => {
+    const nodeIds = parseIdList(value);
+    if (nodeIds === undefined) return false;
+
+    const record = await model.findByPk(id);
+    if (!record) return false;
+
+    await record.setEntranceNodes(nodeIds);
+    return true;
+};
 
 // --- Authentication ---
 
+const tooManyAttempts = (res, { retryAfter, locked }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: locked
+            ? `Too many failed attempts. Sign-in is locked for ${Math.ceil(retryAfter / 60)} minute(s).`
+            : `Too many failed attempts. Try again in ${retryAfter} second(s).`,
+        retry_after: retryAfter
+    });
+};
+
+// Attempts are throttled per username and per IP, see src/services/loginThrottle.js
 exports.login = async (req, res) => {
     try {
         const { username, password } = req.body;
-        const user = await User.findOne({ where: { username } });
+        const attempt = { username, ip: req.ip, userAgent: req.get('user-agent') };
 
-        if (!user) {
-            return res.status(401).json({ success: false, message: 'Invalid username or password' });
-        }
+        // Counted before the password check so parallel guesses all meet the backoff.
+        // Refused attempts are not logged: they neither extend the block nor fill failed_logins
+        const reservation = await loginThrottle.reserveAttempt(username, req.ip);
+        if (!reservation.allowed) return tooManyAttempts(res, reservation);
 
-        const isMatch = await bcrypt.compare(password, user.password);
+        const user = username ? await User.findOne({ where: { username } }) : null;
+        const isMatch = user && password ? await bcrypt.compare(String(password), user.password) : false;
         if (!isMatch) {
+            await loginThrottle.recordFailure({ ...attempt, reason: user ? 'wrong_password' : 'unknown_user', locked: reservation.locked });
+            if (reservation.locked) return tooManyAttempts(res, reservation);
             return res.status(401).json({ success: false, message: 'Invalid username or password' });
         }
 
+        await loginThrottle.recordSuccess(username, req.ip, reservation);
+        await user.update({ last_login_at: new Date() });
+
         req.session.userId = user.id;
         req.session.username = user.username;
-        res.json({ success: true, message: 'Login successful' });
+        req.session.mustChangePassword = Boolean(user.must_change_password);
+        req.session.sessionVersion = user.session_version || 0;
+        res.json({
+            success: true,
+            message: 'Login successful',
+            role: user.role,
+            must_change_password: req.session.mustChangePassword
+        });
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ success: false, message: 'An error occurred during login' });
@@ -36,11 +125,296 @@ exports.logout = (req, res) => {
     });
 };
 
-exports.checkAuth = (req, res) => {
-    if (req.session.userId) {
-        res.json({ success: true, username: req.session.username });
-    } else {
-        res.status(401).json({ success: false, message: 'Not authenticated' });
+exports.checkAuth = async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ success: false, message: 'Not authenticated' });
+    }
+
+    try {
+        const user = await User.findByPk(req.session.userId, { attributes: ['username', 'role', 'campus_id', 'department_id'] });
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Not authenticated' });
+        }
+        res.json({
+            success: true,
+            username: user.username,
+            role: user.role,
+            campus_id: user.campus_id,
+            department_id: user.department_id,
+            can_view_audit: roleAllows(user.role, 'audit'),
+            must_change_password: Boolean(req.session.mustChangePassword)
+        });
+    } catch (error) {
+        console.error('Auth check error:', error);
+        res.status(500).json({ success: false, message: 'An error occurred while checking authentication' });
+    }
+};
+
+// --- Admin Accounts ---
+
+const userAttributes = ['id', 'username', 'role', 'campus_id', 'department_id', 'must_change_password', 'last_login_at'];
+const userInclude = [
+    { model: Campus, attributes: ['id', 'name'] },
+    { model: Department, attributes: ['id', 'name'] }
+];
+
+// Checks role and scope; returns { error } or { data } with the scope fields the role uses
+const userRoleData = async ({ role, campus_id, department_id }) => {
+    if (!ROLES.includes(role)) {
+        return { error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+    if (role === 'campus-admin') {
+        if (!campus_id || !(await Campus.findByPk(campus_id))) return { error: 'A campus-admin needs an existing campus_id' };
+        return { data: { role, campus_id, department_id: null } };
+    }
+    if (role === 'department-editor') {
+        if (!department_id || !(await Department.findByPk(department_id))) return { error: 'A department-editor needs an existing department_id' };
+        return { data: { role, campus_id: null, department_id } };
+    }
+    return { data: { role, campus_id: null, department_id: null } };
+};
+
+const isLastSuperAdmin = async (user) => user.role === 'super-admin'
+    && await User.count({ where: { role: 'super-admin' } }) === 1;
+
+exports.getUsers = async (req, res) => {
+    try {
+        const users = await User.findAll({
+            attributes: userAttributes,
+            include: userInclude,
+            order: [['username', 'ASC']]
+        });
+        res.json({ success: true, data: users });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch users' });
+    }
+};
+
+// New accounts must choose their own password on first login
+exports.createUser = async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (!username || !String(username).trim()) {
+            return res.status(400).json({ success: false, message: 'A username is required' });
+        }
+
+        const roleData = await userRoleData(req.body);
+        if (roleData.error) {
+            return res.status(400).json({ success: false, message: roleData.error });
+        }
+        const weak = checkPasswordPolicy(password, username);
+        if (weak) {
+            return res.status(400).json({ success: false, message: weak });
+        }
+
+        const user = await User.create({
+            username: String(username).trim(),
+            password: await hashPassword(password),
+            must_change_password: true,
+            ...roleData.data
+        });
+
+        const createdUser = await User.findByPk(user.id, { attributes: userAttributes, include: userInclude });
+        res.status(201).json({ success: true, data: createdUser });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ success: false, message: 'Username already exists' });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ success: false, message: 'Failed to create user' });
+    }
+};
+
+// Sending `password` resets it and signs the account out everywhere; it then has to change it on next login
+exports.updateUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = await User.findByPk(id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const username = req.body.username !== undefined ? String(req.body.username).trim() : user.username;
+        if (!username) {
+            return res.status(400).json({ success: false, message: 'A username is required' });
+        }
+
+        const roleData = await userRoleData({
+            role: req.body.role !== undefined ? req.body.role : user.role,
+            campus_id: req.body.campus_id !== undefined ? req.body.campus_id : user.campus_id,
+            department_id: req.body.department_id !== undefined ? req.body.department_id : user.department_id
+        });
+        if (roleData.error) {
+            return res.status(400).json({ success: false, message: roleData.error });
+        }
+        if (roleData.data.role !== 'super-admin' && await isLastSuperAdmin(user)) {
+            return res.status(400).json({ success: false, message: 'The last super-admin cannot be given another role' });
+        }
+
+        const updateData = { username, ...roleData.data };
+        if (req.body.password) {
+            const weak = checkPasswordPolicy(req.body.password, username);
+            if (weak) {
+                return res.status(400).json({ success: false, message: weak });
+            }
+            updateData.password = await hashPassword(req.body.password);
+            updateData.must_change_password = true;
+            updateData.session_version = (user.session_version || 0) + 1;
+        }
+
+        await user.update(updateData);
+        const updatedUser = await User.findByPk(id, { attributes: userAttributes, include: userInclude });
+        res.json({ success: true, data: updatedUser });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ success: false, message: 'Username already exists' });
+        }
+        console.error('Error updating user:', error);
+        res.status(500).json({ success: false, message: 'Failed to update user' });
+    }
+};
+
+exports.deleteUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (Number(id) === req.session.userId) {
+            return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+        }
+
+        const user = await User.findByPk(id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (await isLastSuperAdmin(user)) {
+            return res.status(400).json({ success: false, message: 'The last super-admin cannot be deleted' });
+        }
+
+        await user.destroy();
+        res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete user' });
+    }
+};
+
+exports.changeOwnPassword = async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const { current_password, new_password } = req.body;
+        if (typeof current_password !== 'string' || current_password === '') {
+            return res.status(400).json({ success: false, message: 'current_password is required' });
+        }
+
+        const user = await User.findByPk(req.session.userId);
+        if (!user || !(await bcrypt.compare(current_password, user.password))) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+        if (current_password === new_password) {
+            return res.status(400).json({ success: false, message: 'The new password must be different from the current one' });
+        }
+        const weak = checkPasswordPolicy(new_password, user.username);
+        if (weak) {
+            return res.status(400).json({ success: false, message: weak });
+        }
+
+        // Other sessions of the account are signed out; this one stays signed in
+        const sessionVersion = (user.session_version || 0) + 1;
+        await user.update({ password: await hashPassword(new_password), must_change_password: false, session_version: sessionVersion });
+        req.session.mustChangePassword = false;
+        req.session.sessionVersion = sessionVersion;
+        res.json({ success: true, message: 'Password changed successfully' });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ success: false, message: 'Failed to change password' });
+    }
+};
+
+// Failed sign-ins (newest first) and the usernames/addresses currently blocked
+exports.getFailedLogins = async (req, res) => {
+    try {
+        const { username, ip, limit, offset } = req.query;
+        const { rows, count } = await loginThrottle.getFailedLogins({ username, ip, limit, offset });
+        res.json({
+            success: true,
+            data: {
+                total: count,
+                events: rows,
+                lockouts: await loginThrottle.listLockouts()
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching failed logins:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch failed logins' });
+    }
+};
+
+exports.clearLoginLockout = async (req, res) => {
+    try {
+        const cleared = await loginThrottle.clearLockout(req.params.key);
+        if (!cleared) {
+            return res.status(404).json({ success: false, message: 'Lockout not found' });
+        }
+        res.json({ success: true, message: 'Lockout cleared' });
+    } catch (error) {
+        console.error('Error clearing lockout:', error);
+        res.status(500).json({ success: false, message: 'Failed to clear lockout' });
+    }
+};
+
+// --- Audit Log ---
+
+// Filters: entity_type + entity_id (includes the record's photos, steps and links), user_id, username, action, from, to
+exports.getAuditLog = async (req, res) => {
+    try {
+        const { action } = req.query;
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ success: false, message: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+        }
+        for (const field of ['from', 'to']) {
+            if (req.query[field] && isNaN(Date.parse(req.query[field]))) {
+                return res.status(400).json({ success: false, message: `${field} must be a date` });
+            }
+        }
+
+        const { rows, count } = await getAuditLog(req.query);
+        res.json({ success: true, data: { total: count, entries: rows } });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+    }
+};
+
+// --- Trash ---
+
+exports.getTrash = async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type && !TRASH_TYPES[type]) {
+            return res.status(400).json({ success: false, message: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+        }
+        res.json({ success: true, data: await listTrash({ type }) });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch trash' });
+    }
+};
+
+// Brings back the children that were moved to the trash together with the item
+exports.restoreTrashItem = async (req, res) => {
+    try {
+        const { type, id } = req.params;
+        const result = await restoreFromTrash(type, id);
+        if (result.error) {
+            return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.error });
+        }
+        res.json({ success: true, message: 'Item restored', data: result.data });
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        res.status(500).json({ success: false, message: 'Failed to restore item' });
     }
 };
 
@@ -72,11 +446,40 @@ exports.getNavigationByDestination = async (req, res) => {
     }
 };
 
+// Error message if a step cannot point at this destination, otherwise null
+const validateNavigationTarget = async (type, node_id) => {
+    const model = Object.hasOwn(DESTINATION_MODELS, type) ? DESTINATION_MODELS[type] : null;
+    if (!model) {
+        return `type must be one of: ${Object.keys(DESTINATION_MODELS).join(', ')}`;
+    }
+    if (!node_id) return 'node_id is required';
+    if (!(await model.findByPk(node_id))) return `${type} ${node_id} does not exist`;
+    return null;
+};
+
+// Another step of the same destination already using step_order, if any
+const findStepOrderCollision = ({ type, node_id, step_order, id }) => Navigation.findOne({
+    where: {
+        type,
+        node_id,
+        step_order,
+        ...(id ? { id: { [Sequelize.Op.ne]: id } } : {})
+    }
+});
+
 exports.createNavigation = async (req, res) => {
     console.log('Create Navigation Request received');
     try {
         const { node_id, type, directional_text, step_order } = req.body;
         console.log('Request Body:', { node_id, type, directional_text, step_order });
+
+        const invalid = await validateNavigationTarget(type, node_id);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+        if (step_order && await findStepOrderCollision({ type, node_id, step_order })) {
+            return res.status(409).json({ success: false, message: `Step ${step_order} already exists for this destination` });
+        }
         
         const image_url = req.file ? req.file.path : null;
         console.log('Image URL from multer:', image_url);
@@ -100,20 +503,34 @@ exports.createNavigation = async (req, res) => {
 exports.updateNavigation = async (req, res) => {
     try {
         const { id } = req.params;
-        const { directional_text, step_order } = req.body;
-        const updateData = { directional_text, step_order };
+        const { directional_text, step_order, type, node_id } = req.body;
+        const updateData = { directional_text, step_order, type, node_id };
 
-        if (req.file) {
-            updateData.image_url = req.file.path;
+        const step = await Navigation.findByPk(id);
+        if (!step) {
+            return res.status(404).json({ success: false, message: 'Navigation step not found' });
         }
 
-        const [updated] = await Navigation.update(updateData, { where: { id } });
+        // Steps can be moved to another destination, which must exist
+        const target = { type: type || step.type, node_id: node_id || step.node_id };
+        if (type !== undefined || node_id !== undefined) {
+            const invalid = await validateNavigationTarget(target.type, target.node_id);
+            if (invalid) {
+                return res.status(400).json({ success: false, message: invalid });
+            }
+        }
+        const order = step_order !== undefined ? step_order : step.step_order;
+        if (await findStepOrderCollision({ ...target, step_order: order, id: step.id })) {
+            return res.status(409).json({ success: false, message: `Step ${order} already exists for this destination` });
+        }
 
-        if (updated) {
-            const updatedNav = await Navigation.findByPk(id);
-            return res.json({ success: true, data: updatedNav });
+        if (req.file) {
+            updateData.image_url = req.file.path;
         }
-        res.status(404).json({ success: false, message: 'Navigation step not found' });
+
+        await Navigation.update(updateData, { where: { id } });
+        const updatedNav = await Navigation.findByPk(id);
+        res.json({ success: true, data: updatedNav });
     } catch (error) {
         console.error('Error updating navigation step:', error);
         res.status(500).json({ success: false, message: 'Failed to update navigation step' });
@@ -123,9 +540,9 @@ exports.updateNavigation = async (req, res) => {
 exports.deleteNavigation = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Navigation.destroy({ where: { id } });
+        const deleted = await moveToTrash('navigation', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Navigation step deleted successfully' });
+            return res.json({ success: true, message: 'Navigation step moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Navigation step not found' });
     } catch (error) {
@@ -134,6 +551,129 @@ exports.deleteNavigation = async (req, res) => {
     }
 };
 
+// Body: { ids: [...] } listing every step of the destination in its new order
+exports.reorderNavigations = async (req, res) => {
+    try {
+        const { type, node_id } = req.params;
+        const ids = parseIdList(req.body.ids);
+        if (!ids || ids.length === 0 || !ids.every(Number.isInteger)) {
+            return res.status(400).json({ success: false, message: 'ids must list the steps in their new order' });
+        }
+
+        const steps = await Navigation.findAll({ where: { type, node_id }, attributes: ['id'] });
+        const stepIds = new Set(steps.map(step => step.id));
+        if (new Set(ids).size !== ids.length || ids.length !== stepIds.size || !ids.every(id => stepIds.has(id))) {
+            return res.status(400).json({
+                success: false,
+                message: `ids must list each of this destination's ${stepIds.size} step(s) exactly once`
+            });
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            for (const [index, id] of ids.entries()) {
+                await Navigation.update({ step_order: index + 1 }, { where: { id }, transaction });
+            }
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        const reordered = await Navigation.findAll({ where: { type, node_id }, order: [['step_order', 'ASC']] });
+        res.json({ success: true, data: reordered });
+    } catch (error) {
+        console.error('Error reordering navigation steps:', error);
+        res.status(500).json({ success: false, message: 'Failed to reorder navigation steps' });
+    }
+};
+
+// Body: { target_type, target_node_id, replace }; copies are appended after the
+// target's own steps unless replace=true, which removes those first
+exports.copyNavigations = async (req, res) => {
+    try {
+        const { type, node_id } = req.params;
+        const { target_type, target_node_id } = req.body;
+        const replace = req.body.replace === true || req.body.replace === 'true';
+
+        if (!target_type || !target_node_id) {
+            return res.status(400).json({ success: false, message: 'target_type and target_node_id are required' });
+        }
+        if (target_type === type && String(target_node_id) === String(node_id)) {
+            return res.status(400).json({ success: false, message: 'Source and target destination are the same' });
+        }
+        const invalid = await validateNavigationTarget(target_type, target_node_id);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        const steps = await Navigation.findAll({ where: { type, node_id }, order: [['step_order', 'ASC']] });
+        if (steps.length === 0) {
+            return res.status(404).json({ success: false, message: 'The source destination has no navigation steps' });
+        }
+
+        const target = { type: target_type, node_id: target_node_id };
+        const transaction = await sequelize.transaction();
+        try {
+            let offset = 0;
+            if (replace) {
+                // Replaced steps skip the trash, like replaced photos
+                await Navigation.destroy({ where: { ...target, deleted_at: null }, force: true, transaction });
+            } else {
+                offset = (await Navigation.max('step_order', { where: target, transaction })) || 0;
+            }
+
+            await Navigation.bulkCreate(steps.map((step, index) => ({
+                ...target,
+                image_url: step.image_url,
+                directional_text: step.directional_text,
+                step_order: offset + index + 1
+            })), { transaction });
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        const copied = await Navigation.findAll({ where: target, order: [['step_order', 'ASC']] });
+        res.status(201).json({ success: true, data: copied });
+    } catch (error) {
+        console.error('Error copying navigation steps:', error);
+        res.status(500).json({ success: false, message: 'Failed to copy navigation steps' });
+    }
+};
+
+// Steps whose type is unknown or whose destination no longer exists
+// (e.g. facilities removed along with their department)
+exports.getOrphanedNavigations = async (req, res) => {
+    try {
+        const steps = await Navigation.findAll({
+            order: [['type', 'ASC'], ['node_id', 'ASC'], ['step_order', 'ASC']]
+        });
+
+        const existing = {};
+        for (const [type, model] of Object.entries(DESTINATION_MODELS)) {
+            const ids = [...new Set(steps.filter(step => step.type === type).map(step => step.node_id))];
+            const found = ids.length > 0 ? await model.findAll({ where: { id: ids }, attributes: ['id'] }) : [];
+            existing[type] = new Set(found.map(record => record.id));
+        }
+
+        const orphaned = steps
+            .map(step => {
+                let reason = null;
+                if (!existing[step.type]) reason = 'unknown_type';
+                else if (!existing[step.type].has(step.node_id)) reason = 'missing_destination';
+                return reason ? { ...step.toJSON(), orphan_reason: reason } : null;
+            })
+            .filter(Boolean);
+
+        res.json({ success: true, data: orphaned });
+    } catch (error) {
+        console.error('Error fetching orphaned navigation steps:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch orphaned navigation steps' });
+    }
+};
+
 exports.searchDestinations = async (req, res) => {
     try {
         const { q } = req.query;
@@ -200,7 +740,8 @@ exports.getDepartments = async (req, res) => {
         const departments = await Department.findAll({
             include: [
                 { model: Campus, attributes: ['name'] },
-                { model: Photo }
+                { model: Photo },
+                entranceNodesInclude
             ]
         });
         res.json({ success: true, data: departments });
@@ -212,6 +753,11 @@ exports.getDepartments = async (req, res) => {
 
 exports.createDepartment = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { name, description, campus_id } = req.body;
         const main_image_url = req.files && req.files.length > 0 ? req.files[0].path : null;
 
@@ -231,6 +777,8 @@ exports.createDepartment = async (req, res) => {
             await Photo.bulkCreate(photosData);
         }
 
+        await setEntranceNodes(Department, department.id, req.body.entrance_node_ids);
+
         res.status(201).json({ success: true, data: department });
     } catch (error) {
         console.error('Error creating department:', error);
@@ -240,6 +788,11 @@ exports.createDepartment = async (req, res) => {
 
 exports.updateDepartment = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { id } = req.params;
         const { name, description, campus_id } = req.body;
         const updateData = { name, description, campus_id };
@@ -247,8 +800,8 @@ exports.updateDepartment = async (req, res) => {
         if (req.files && req.files.length > 0) {
             updateData.image_url = req.files[0].path;
             
-            // For simplicity, we'll replace existing photos if new ones are uploaded
-            await Photo.destroy({ where: { department_id: id, type: 'department' } });
+            // For simplicity, we'll replace existing photos if new ones are uploaded (replaced photos skip the trash)
+            await Photo.destroy({ where: { department_id: id, type: 'department', deleted_at: null }, force: true });
             
             const photosData = req.files.map(file => ({
                 image_url: file.path,
@@ -259,9 +812,10 @@ exports.updateDepartment = async (req, res) => {
         }
 
         const [updated] = await Department.update(updateData, { where: { id } });
+        const linked = await setEntranceNodes(Department, id, req.body.entrance_node_ids);
 
-        if (updated) {
-            const updatedDepartment = await Department.findByPk(id, { include: [Photo] });
+        if (updated || linked) {
+            const updatedDepartment = await Department.findByPk(id, { include: [Photo, entranceNodesInclude] });
             return res.json({ success: true, data: updatedDepartment });
         }
         res.status(404).json({ success: false, message: 'Department not found' });
@@ -271,12 +825,13 @@ exports.updateDepartment = async (req, res) => {
     }
 };
 
+// Facilities, photos, programs, head officers, staff and navigation steps go to the trash with it
 exports.deleteDepartment = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Department.destroy({ where: { id } });
+        const deleted = await moveToTrash('department', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Department deleted successfully' });
+            return res.json({ success: true, message: 'Department moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Department not found' });
     } catch (error) {
@@ -288,9 +843,9 @@ exports.deleteDepartment = async (req, res) => {
 exports.deletePhoto = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Photo.destroy({ where: { id } });
+        const deleted = await moveToTrash('department-photo', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Photo deleted successfully' });
+            return res.json({ success: true, message: 'Photo moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Photo not found' });
     } catch (error) {
@@ -313,8 +868,8 @@ exports.getCampuses = async (req, res) => {
 
 exports.createCampus = async (req, res) => {
     try {
-        const { name, location, about } = req.body;
-        const campus = await Campus.create({ name, location, about });
+        const { name, location, about, map_scale } = req.body;
+        const campus = await Campus.create({ name, location, about, map_scale: map_scale || null });
         res.status(201).json({ success: true, data: campus });
     } catch (error) {
         console.error('Error creating campus:', error);
@@ -325,8 +880,8 @@ exports.createCampus = async (req, res) => {
 exports.updateCampus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, location, about } = req.body;
-        const [updated] = await Campus.update({ name, location, about }, { where: { id } });
+        const { name, location, about, map_scale } = req.body;
+        const [updated] = await Campus.update({ name, location, about, map_scale: map_scale || null }, { where: { id } });
         if (updated) {
             const updatedCampus = await Campus.findByPk(id);
             return res.json({ success: true, data: updatedCampus });
@@ -341,9 +896,9 @@ exports.updateCampus = async (req, res) => {
 exports.deleteCampus = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Campus.destroy({ where: { id } });
+        const deleted = await moveToTrash('campus', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Campus deleted successfully' });
+            return res.json({ success: true, message: 'Campus moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Campus not found' });
     } catch (error) {
@@ -359,7 +914,8 @@ exports.getOffices = async (req, res) => {
         const offices = await Office.findAll({
             include: [
                 { model: Campus, attributes: ['name'] },
-                { model: OfficePhoto, as: 'OfficePhotos' }
+                { model: OfficePhoto, as: 'OfficePhotos' },
+                entranceNodesInclude
             ]
         });
         res.json({ success: true, data: offices });
@@ -371,6 +927,11 @@ exports.getOffices = async (req, res) => {
 
 exports.createOffice = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { name, about, campus_id } = req.body;
         const office = await Office.create({ name, about, campus_id });
 
@@ -383,6 +944,8 @@ exports.createOffice = async (req, res) => {
             await OfficePhoto.bulkCreate(photosData);
         }
 
+        await setEntranceNodes(Office, office.id, req.body.entrance_node_ids);
+
         res.status(201).json({ success: true, data: office });
     } catch (error) {
         console.error('Error creating office:', error);
@@ -392,14 +955,19 @@ exports.createOffice = async (req, res) => {
 
 exports.updateOffice = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { id } = req.params;
         const { name, about, campus_id } = req.body;
         
         const [updated] = await Office.update({ name, about, campus_id }, { where: { id } });
 
         if (req.files && req.files.length > 0) {
-            // For simplicity, we'll replace existing photos if new ones are uploaded
-            await OfficePhoto.destroy({ where: { offices_id: id, type: 'office' } });
+            // For simplicity, we'll replace existing photos if new ones are uploaded (replaced photos skip the trash)
+            await OfficePhoto.destroy({ where: { offices_id: id, type: 'office', deleted_at: null }, force: true });
             
             const photosData = req.files.map(file => ({
                 image_url: file.path,
@@ -409,8 +977,10 @@ exports.updateOffice = async (req, res) => {
             await OfficePhoto.bulkCreate(photosData);
         }
 
-        if (updated || (req.files && req.files.length > 0)) {
-            const updatedOffice = await Office.findByPk(id, { include: [{ model: OfficePhoto, as: 'OfficePhotos' }] });
+        const linked = await setEntranceNodes(Office, id, req.body.entrance_node_ids);
+
+        if (updated || linked || (req.files && req.files.length > 0)) {
+            const updatedOffice = await Office.findByPk(id, { include: [{ model: OfficePhoto, as: 'OfficePhotos' }, entranceNodesInclude] });
             return res.json({ success: true, data: updatedOffice });
         }
         res.status(404).json({ success: false, message: 'Office not found' });
@@ -423,9 +993,9 @@ exports.updateOffice = async (req, res) => {
 exports.deleteOfficePhoto = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await OfficePhoto.destroy({ where: { id } });
+        const deleted = await moveToTrash('office-photo', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Office photo deleted successfully' });
+            return res.json({ success: true, message: 'Office photo moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Office photo not found' });
     } catch (error) {
@@ -437,9 +1007,9 @@ exports.deleteOfficePhoto = async (req, res) => {
 exports.deleteOffice = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Office.destroy({ where: { id } });
+        const deleted = await moveToTrash('office', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Office deleted successfully' });
+            return res.json({ success: true, message: 'Office moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Office not found' });
     } catch (error) {
@@ -516,9 +1086,9 @@ exports.updateHeadOfficer = async (req, res) => {
 exports.deleteHeadOfficer = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await HeadOfficer.destroy({ where: { id } });
+        const deleted = await moveToTrash('head-officer', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Head officer deleted successfully' });
+            return res.json({ success: true, message: 'Head officer moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Head officer not found' });
     } catch (error) {
@@ -595,9 +1165,9 @@ exports.updateStaff = async (req, res) => {
 exports.deleteStaff = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Staff.destroy({ where: { id } });
+        const deleted = await moveToTrash('staff', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Staff member deleted successfully' });
+            return res.json({ success: true, message: 'Staff member moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Staff member not found' });
     } catch (error) {
@@ -702,7 +1272,8 @@ exports.getDepartmentById = async (req, res) => {
                 { 
                     model: Facility,
                     include: [{ model: FacilityPhoto, as: 'FacilityPhotos' }]
-                }
+                },
+                entranceNodesInclude
             ]
         });
         if (department) {
@@ -723,7 +1294,8 @@ exports.getOfficeById = async (req, res) => {
             include: [
                 { model: OfficePhoto, as: 'OfficePhotos' },
                 { model: Staff, as: 'Staff' },
-                { model: HeadOfficer }
+                { model: HeadOfficer },
+                entranceNodesInclude
             ]
         });
         if (office) {
@@ -782,9 +1354,9 @@ exports.updateProgram = async (req, res) => {
 exports.deleteProgram = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Program.destroy({ where: { id } });
+        const deleted = await moveToTrash('program', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Program deleted successfully' });
+            return res.json({ success: true, message: 'Program moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Program not found' });
     } catch (error) {
@@ -798,11 +1370,14 @@ exports.deleteProgram = async (req, res) => {
 exports.getEvents = async (req, res) => {
     try {
         const events = await Event.findAll({
-            include: [{ 
-                model: Department, 
-                attributes: ['name'],
-                include: [{ model: Campus, attributes: ['name', 'id'] }]
-            }]
+            include: [
+                {
+                    model: Department,
+                    attributes: ['name'],
+                    include: [{ model: Campus, attributes: ['name', 'id'] }]
+                },
+                entranceNodesInclude
+            ]
         });
         res.json({ success: true, data: events });
     } catch (error) {
@@ -813,6 +1388,11 @@ exports.getEvents = async (req, res) => {
 
 exports.createEvent = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { 
             name, about, start_date, end_date, start_time, 
             end_time, venue, event_organizer_name, department_id 
@@ -825,6 +1405,8 @@ exports.createEvent = async (req, res) => {
             event_organizer_image_url
         });
 
+        await setEntranceNodes(Event, event.id, req.body.entrance_node_ids);
+
         res.status(201).json({ success: true, data: event });
     } catch (error) {
         console.error('Error creating event:', error);
@@ -834,6 +1416,11 @@ exports.createEvent = async (req, res) => {
 
 exports.updateEvent = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { id } = req.params;
         const { 
             name, about, start_date, end_date, start_time, 
@@ -850,9 +1437,10 @@ exports.updateEvent = async (req, res) => {
         }
 
         const [updated] = await Event.update(updateData, { where: { id } });
+        const linked = await setEntranceNodes(Event, id, req.body.entrance_node_ids);
 
-        if (updated) {
-            const updatedEvent = await Event.findByPk(id);
+        if (updated || linked) {
+            const updatedEvent = await Event.findByPk(id, { include: [entranceNodesInclude] });
             return res.json({ success: true, data: updatedEvent });
         }
         res.status(404).json({ success: false, message: 'Event not found' });
@@ -865,9 +1453,9 @@ exports.updateEvent = async (req, res) => {
 exports.deleteEvent = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Event.destroy({ where: { id } });
+        const deleted = await moveToTrash('event', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Event deleted successfully' });
+            return res.json({ success: true, message: 'Event moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Event not found' });
     } catch (error) {
@@ -887,7 +1475,8 @@ exports.getFacilities = async (req, res) => {
                     attributes: ['name'],
                     include: [{ model: Campus, attributes: ['name', 'id'] }]
                 },
-                { model: FacilityPhoto, as: 'FacilityPhotos' }
+                { model: FacilityPhoto, as: 'FacilityPhotos' },
+                entranceNodesInclude
             ]
         });
         res.json({ success: true, data: facilities });
@@ -899,6 +1488,11 @@ exports.getFacilities = async (req, res) => {
 
 exports.createFacility = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { name, type, department_id } = req.body;
         const main_image_url = req.files && req.files.length > 0 ? req.files[0].path : null;
 
@@ -917,6 +1511,8 @@ exports.createFacility = async (req, res) => {
             await FacilityPhoto.bulkCreate(photosData);
         }
 
+        await setEntranceNodes(Facility, facility.id, req.body.entrance_node_ids);
+
         res.status(201).json({ success: true, data: facility });
     } catch (error) {
         console.error('Error creating facility:', error);
@@ -926,6 +1522,11 @@ exports.createFacility = async (req, res) => {
 
 exports.updateFacility = async (req, res) => {
     try {
+        const invalidNodes = await validateIdList(Nodes, parseIdList(req.body.entrance_node_ids), 'entrance_node_ids');
+        if (invalidNodes) {
+            return res.status(400).json({ success: false, message: invalidNodes });
+        }
+
         const { id } = req.params;
         const { name, type, department_id } = req.body;
         const updateData = { name, type, department_id };
@@ -933,8 +1534,8 @@ exports.updateFacility = async (req, res) => {
         if (req.files && req.files.length > 0) {
             updateData.image_url = req.files[0].path;
             
-            // For simplicity, replace existing photos if new ones are uploaded
-            await FacilityPhoto.destroy({ where: { facility_id: id } });
+            // For simplicity, replace existing photos if new ones are uploaded (replaced photos skip the trash)
+            await FacilityPhoto.destroy({ where: { facility_id: id, deleted_at: null }, force: true });
             
             const photosData = req.files.map(file => ({
                 image_url: file.path,
@@ -944,9 +1545,10 @@ exports.updateFacility = async (req, res) => {
         }
 
         const [updated] = await Facility.update(updateData, { where: { id } });
+        const linked = await setEntranceNodes(Facility, id, req.body.entrance_node_ids);
 
-        if (updated || (req.files && req.files.length > 0)) {
-            const updatedFacility = await Facility.findByPk(id, { include: [{ model: FacilityPhoto, as: 'FacilityPhotos' }] });
+        if (updated || linked || (req.files && req.files.length > 0)) {
+            const updatedFacility = await Facility.findByPk(id, { include: [{ model: FacilityPhoto, as: 'FacilityPhotos' }, entranceNodesInclude] });
             return res.json({ success: true, data: updatedFacility });
         }
         res.status(404).json({ success: false, message: 'Facility not found' });
@@ -959,9 +1561,9 @@ exports.updateFacility = async (req, res) => {
 exports.deleteFacility = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await Facility.destroy({ where: { id } });
+        const deleted = await moveToTrash('facility', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Facility deleted successfully' });
+            return res.json({ success: true, message: 'Facility moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Facility not found' });
     } catch (error) {
@@ -973,9 +1575,9 @@ exports.deleteFacility = async (req, res) => {
 exports.deleteFacilityPhoto = async (req, res) => {
     try {
         const { id } = req.params;
-        const deleted = await FacilityPhoto.destroy({ where: { id } });
+        const deleted = await moveToTrash('facility-photo', id);
         if (deleted) {
-            return res.json({ success: true, message: 'Facility photo deleted successfully' });
+            return res.json({ success: true, message: 'Facility photo moved to trash' });
         }
         res.status(404).json({ success: false, message: 'Facility photo not found' });
     } catch (error) {
@@ -984,6 +1586,849 @@ exports.deleteFacilityPhoto = async (req, res) => {
     }
 };
 
+// --- Route Finding ---
+
+// HTTP status for each pathfinder error code; anything else (e.g. NO_PATH) is 422
+const ROUTE_ERROR_STATUS = {
+    UNKNOWN_PROFILE: 400,
+    NODE_NOT_FOUND: 404,
+    DESTINATION_NOT_FOUND: 404
+};
+
+const sendRouteError = (res, result) => {
+    res.status(ROUTE_ERROR_STATUS[result.code] || 422).json({
+        success: false,
+        code: result.code,
+        message: result.error,
+        avoided_edges: result.avoided_edges
+    });
+};
+
+// A route target is either a node code or a destination reference such as "office:12"
+const resolveRouteTarget = async (ref) => {
+    const destinationMatch = /^([a-z]+):(\d+)$/.exec(ref);
+    if (!destinationMatch || !Object.hasOwn(DESTINATION_MODELS, destinationMatch[1])) {
+        return { codes: [ref], destination: null };
+    }
+
+    const [, type, id] = destinationMatch;
+    const record = await DESTINATION_MODELS[type].findByPk(id, { include: [entranceNodesInclude] });
+
+    if (!record) {
+        return { error: `Destination not found: ${ref}`, code: 'DESTINATION_NOT_FOUND' };
+    }
+    if (record.EntranceNodes.length === 0) {
+        return { error: `${record.name} is not linked to any entrance node`, code: 'NO_ENTRANCE_NODE' };
+    }
+
+    return {
+        codes: record.EntranceNodes.map(node => node.node_code),
+        destination: { type, id: record.id, name: record.name }
+    };
+};
+
+// Most stops accepted in one trip request
+const MAX_TRIP_STOPS = 10;
+
+// Options shared by the route endpoints; `at` is null when given but not a valid date.
+// Directions use ?lang= if supported, else the Accept-Language header, else English.
+const routeOptionsFromRequest = (req) => {
+    const { profile, avoidStairs, at, lang } = req.query;
+    return {
+        profile: profile || undefined,
+        avoidStairs: avoidStairs === 'true',
+        at: at ? (Number.isNaN(Date.parse(at)) ? null : at) : undefined,
+        lang: resolveLanguage(lang, req.get('Accept-Language'))
+    };
+};
+
+exports.getRoute = async (req, res) => {
+    try {
+        const { from, to, alternatives } = req.query;
+        if (!from || !to) {
+            return res.status(400).json({ success: false, message: 'Both "from" and "to" node codes are required' });
+        }
+
+        const options = routeOptionsFromRequest(req);
+        if (options.at === null) {
+            return res.status(400).json({ success: false, message: '"at" must be a valid date and time' });
+        }
+
+        const target = await resolveRouteTarget(to);
+        if (target.error) return sendRouteError(res, target);
+
+        const result = await getPathfinder().getDirections(from, target.codes, {
+            ...options,
+            alternatives: Math.min(Math.max(parseInt(alternatives, 10) || 0, 0), MAX_ALTERNATIVES)
+        });
+
+        if (result.error) return sendRouteError(res, result);
+
+        if (target.destination) result.destination = target.destination;
+        result.lang = options.lang;
+        res.set('Content-Language', options.lang).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error finding route:', error);
+        res.status(500).json({ success: false, message: 'Failed to find route' });
+    }
+};
+
+// Same query as /route (without alternatives), rendered as a printable map
+exports.getRouteSvg = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!from || !to) {
+            return res.status(400).json({ success: false, message: 'Both "from" and "to" node codes are required' });
+        }
+
+        const options = routeOptionsFromRequest(req);
+        if (options.at === null) {
+            return res.status(400).json({ success: false, message: '"at" must be a valid date and time' });
+        }
+
+        const target = await resolveRouteTarget(to);
+        if (target.error) return sendRouteError(res, target);
+
+        const result = await getPathfinder().findNearestPath(from, target.codes, options);
+        if (result.error) return sendRouteError(res, result);
+
+        const svg = await renderRouteSvg(result);
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        console.error('Error rendering route map:', error);
+        res.status(500).json({ success: false, message: 'Failed to render route map' });
+    }
+};
+
+exports.getTrip = async (req, res) => {
+    try {
+        const { from, stops, optimize } = req.query;
+        const refs = (stops || '').split(',').map(ref => ref.trim()).filter(Boolean);
+
+        if (!from || refs.length === 0) {
+            return res.status(400).json({ success: false, message: 'A "from" node code and at least one stop are required' });
+        }
+        if (refs.length > MAX_TRIP_STOPS) {
+            return res.status(400).json({ success: false, message: `A trip can have at most ${MAX_TRIP_STOPS} stops` });
+        }
+
+        const options = routeOptionsFromRequest(req);
+        if (options.at === null) {
+            return res.status(400).json({ success: false, message: '"at" must be a valid date and time' });
+        }
+
+        const targets = await Promise.all(refs.map(resolveRouteTarget));
+        const failed = targets.find(target => target.error);
+        if (failed) return sendRouteError(res, failed);
+
+        const result = await getPathfinder().planTrip(from, targets.map(target => ({
+            codes: target.codes,
+            label: target.destination ? target.destination.name : undefined
+        })), {
+            ...options,
+            optimize: optimize === 'true'
+        });
+
+        if (result.error) {
+            if (result.stop !== undefined) result.error = `${result.error} (stop: ${refs[result.stop]})`;
+            return sendRouteError(res, result);
+        }
+
+        result.legs.forEach(leg => {
+            leg.destination = targets[leg.stop].destination || { node_code: refs[leg.stop] };
+        });
+        result.lang = options.lang;
+        res.set('Content-Language', options.lang).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error planning trip:', error);
+        res.status(500).json({ success: false, message: 'Failed to plan trip' });
+    }
+};
+
+exports.getRouteProfiles = (req, res) => {
+    res.json({ success: true, data: listProfiles() });
+};
+
+// --- Closures ---
+
+const closureInclude = [
+    {
+        model: Edges,
+        as: 'ClosedEdges',
+        attributes: ['edge_id', 'from_node_id', 'to_node_id'],
+        through: { attributes: [] }
+    },
+    {
+        model: Nodes,
+        as: 'ClosedNodes',
+        attributes: ['node_id', 'node_code', 'name'],
+        through: { attributes: [] }
+    }
+];
+
+const validateClosure = ({ reason, starts_at, ends_at }, edgeIds, nodeIds) => {
+    if (!reason) return 'A reason is required';
+    if (Number.isNaN(Date.parse(starts_at)) || Number.isNaN(Date.parse(ends_at))) {
+        return 'starts_at and ends_at must be valid dates';
+    }
+    if (new Date(ends_at) <= new Date(starts_at)) return 'ends_at must be after starts_at';
+    if (edgeIds !== undefined && nodeIds !== undefined && edgeIds.length === 0 && nodeIds.length === 0) {
+        return 'A closure must affect at least one edge or node';
+    }
+    return null;
+};
+
+exports.getClosures = async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.active === 'true') {
+            const now = new Date();
+            where.starts_at = { [Sequelize.Op.lte]: now };
+            where.ends_at = { [Sequelize.Op.gt]: now };
+        }
+
+        const closures = await Closure.findAll({
+            where,
+            include: closureInclude,
+            order: [['starts_at', 'DESC']]
+        });
+        res.json({ success: true, data: closures });
+    } catch (error) {
+        console.error('Error fetching closures:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch closures' });
+    }
+};
+
+exports.createClosure = async (req, res) => {
+    try {
+        const { reason, starts_at, ends_at } = req.body;
+        const edgeIds = parseIdList(req.body.edge_ids) || [];
+        const nodeIds = parseIdList(req.body.node_ids) || [];
+
+        const invalid = validateClosure(req.body, edgeIds, nodeIds)
+            || await validateIdList(Edges, edgeIds, 'edge_ids')
+            || await validateIdList(Nodes, nodeIds, 'node_ids');
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        const closure = await Closure.create({ reason, starts_at, ends_at });
+        await closure.setClosedEdges(edgeIds);
+        await closure.setClosedNodes(nodeIds);
+
+        const createdClosure = await Closure.findByPk(closure.id, { include: closureInclude });
+        res.status(201).json({ success: true, data: createdClosure });
+    } catch (error) {
+        console.error('Error creating closure:', error);
+        res.status(500).json({ success: false, message: 'Failed to create closure' });
+    }
+};
+
+exports.updateClosure = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const closure = await Closure.findByPk(id);
+        if (!closure) {
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+        }
+
+        const { reason = closure.reason, starts_at = closure.starts_at, ends_at = closure.ends_at } = req.body;
+        const edgeIds = parseIdList(req.body.edge_ids);
+        const nodeIds = parseIdList(req.body.node_ids);
+
+        const invalid = validateClosure(
+            { reason, starts_at, ends_at },
+            edgeIds !== undefined ? edgeIds : (await closure.getClosedEdges()).map(edge => edge.edge_id),
+            nodeIds !== undefined ? nodeIds : (await closure.getClosedNodes()).map(node => node.node_id)
+        ) || await validateIdList(Edges, edgeIds, 'edge_ids') || await validateIdList(Nodes, nodeIds, 'node_ids');
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        await closure.update({ reason, starts_at, ends_at });
+        if (edgeIds !== undefined) await closure.setClosedEdges(edgeIds);
+        if (nodeIds !== undefined) await closure.setClosedNodes(nodeIds);
+
+        const updatedClosure = await Closure.findByPk(id, { include: closureInclude });
+        res.json({ success: true, data: updatedClosure });
+    } catch (error) {
+        console.error('Error updating closure:', error);
+        res.status(500).json({ success: false, message: 'Failed to update closure' });
+    }
+};
+
+exports.deleteClosure = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await moveToTrash('closure', id);
+        if (deleted) {
+            return res.json({ success: true, message: 'Closure moved to trash' });
+        }
+        res.status(404).json({ success: false, message: 'Closure not found' });
+    } catch (error) {
+        console.error('Error deleting closure:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete closure' });
+    }
+};
+
+// --- Floor Plans ---
+
+const floorPlanData = ({ campus_id, building, floor_level, scale, north_offset }) => ({
+    campus_id,
+    building: building === '' ? null : building,
+    floor_level,
+    scale: scale === '' ? null : scale,
+    north_offset: north_offset === '' ? 0 : north_offset
+});
+
+// The building floor a floor plan occupies once data is saved over current (if any)
+const floorOf = (data, current = {}) => {
+    const value = field => (data[field] !== undefined ? data[field] : current[field]);
+    return { campus_id: value('campus_id'), building: value('building') ?? null, floor_level: value('floor_level') ?? 0 };
+};
+
+// 409 message for a unique value taken by a record in the trash, which still holds it until restored or purged
+const takenByTrashed = (what, { type, id }) => `${what} belongs to ${type} #${id} in the trash; restore it or wait until it is purged`;
+
+const validateFloorPlan = ({ scale, north_offset }) => {
+    if (scale !== undefined && scale !== null && !(Number(scale) > 0)) return 'scale must be a positive number of metres per pixel';
+    if (north_offset !== undefined && (Number.isNaN(Number(north_offset)) || north_offset < 0 || north_offset >= 360)) {
+        return 'north_offset must be an angle from 0 to 359';
+    }
+    return null;
+};
+
+exports.getFloorPlans = async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.campus_id) where.campus_id = req.query.campus_id;
+        if (req.query.building) where.building = req.query.building;
+        if (req.query.floor_level !== undefined) where.floor_level = req.query.floor_level;
+
+        const floorPlans = await FloorPlan.findAll({
+            where,
+            order: [['campus_id', 'ASC'], ['building', 'ASC'], ['floor_level', 'ASC']]
+        });
+        res.json({ success: true, data: floorPlans });
+    } catch (error) {
+        console.error('Error fetching floor plans:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch floor plans' });
+    }
+};
+
+exports.getFloorPlanById = async (req, res) => {
+    try {
+        const floorPlan = await FloorPlan.findByPk(req.params.id);
+        if (floorPlan) {
+            res.json({ success: true, data: floorPlan });
+        } else {
+            res.status(404).json({ success: false, message: 'Floor plan not found' });
+        }
+    } catch (error) {
+        console.error('Error fetching floor plan:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch floor plan' });
+    }
+};
+
+exports.createFloorPlan = async (req, res) => {
+    try {
+        const data = floorPlanData(req.body);
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'A floor plan image is required' });
+        }
+        if (!data.campus_id || !(await Campus.findByPk(data.campus_id))) {
+            return res.status(400).json({ success: false, message: 'campus_id must reference an existing campus' });
+        }
+        const invalid = validateFloorPlan(data);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        const floorPlan = await FloorPlan.create({ ...data, image_url: req.file.path });
+        res.status(201).json({ success: true, data: floorPlan });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            const trashed = await findInTrash('floor-plan', floorOf(floorPlanData(req.body)));
+            return res.status(409).json({
+                success: false,
+                message: trashed ? takenByTrashed('This building floor', trashed) : 'This building floor already has a floor plan'
+            });
+        }
+        console.error('Error creating floor plan:', error);
+        res.status(500).json({ success: false, message: 'Failed to create floor plan' });
+    }
+};
+
+exports.updateFloorPlan = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updateData = floorPlanData(req.body);
+        const invalid = validateFloorPlan(updateData);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        if (req.file) {
+            updateData.image_url = req.file.path;
+        }
+
+        const [updated] = await FloorPlan.update(updateData, { where: { id } });
+
+        if (updated) {
+            const updatedFloorPlan = await FloorPlan.findByPk(id);
+            return res.json({ success: true, data: updatedFloorPlan });
+        }
+        res.status(404).json({ success: false, message: 'Floor plan not found' });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            const current = await FloorPlan.findByPk(req.params.id);
+            const trashed = current && await findInTrash('floor-plan', floorOf(floorPlanData(req.body), current));
+            return res.status(409).json({
+                success: false,
+                message: trashed ? takenByTrashed('This building floor', trashed) : 'This building floor already has a floor plan'
+            });
+        }
+        console.error('Error updating floor plan:', error);
+        res.status(500).json({ success: false, message: 'Failed to update floor plan' });
+    }
+};
+
+exports.deleteFloorPlan = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await moveToTrash('floor-plan', id);
+        if (deleted) {
+            return res.json({ success: true, message: 'Floor plan moved to trash' });
+        }
+        res.status(404).json({ success: false, message: 'Floor plan not found' });
+    } catch (error) {
+        console.error('Error deleting floor plan:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete floor plan' });
+    }
+};
+
+// --- Guided Tours ---
+
+const tourResponse = (res, result, status = 200) => {
+    if (result.error) {
+        return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.error });
+    }
+    res.status(status).json({ success: true, data: result.data });
+};
+
+exports.getTours = async (req, res) => {
+    try {
+        // Drafts are only listed for signed-in admins who ask for them (?status=draft or ?status=all)
+        const where = {};
+        const status = req.session.userId ? req.query.status : undefined;
+        if (status !== 'all') where.status = TOUR_STATUSES.includes(status) ? status : 'published';
+        if (req.query.campus_id) where.campus_id = req.query.campus_id;
+
+        const tours = await Tour.findAll({
+            where,
+            include: [
+                { model: Campus, attributes: ['id', 'name'] },
+                { model: TourStop, as: 'Stops', attributes: ['id'] }
+            ],
+            order: [['name', 'ASC']]
+        });
+
+        const data = tours.map(tour => {
+            const { Stops, ...fields } = tour.toJSON();
+            return { ...fields, stop_count: Stops.length };
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error fetching tours:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch tours' });
+    }
+};
+
+exports.getTourById = async (req, res) => {
+    try {
+        const tour = await findTour(req.params.id, { publishedOnly: !req.session.userId });
+        if (!tour) {
+            return res.status(404).json({ success: false, message: 'Tour not found' });
+        }
+        res.json({ success: true, data: tour });
+    } catch (error) {
+        console.error('Error fetching tour:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch tour' });
+    }
+};
+
+exports.createTour = async (req, res) => {
+    try {
+        tourResponse(res, await saveTour(null, req.body), 201);
+    } catch (error) {
+        console.error('Error creating tour:', error);
+        res.status(500).json({ success: false, message: 'Failed to create tour' });
+    }
+};
+
+// Send `stops` to replace the whole stop list: array order is the new stop order
+exports.updateTour = async (req, res) => {
+    try {
+        tourResponse(res, await saveTour(req.params.id, req.body));
+    } catch (error) {
+        console.error('Error updating tour:', error);
+        res.status(500).json({ success: false, message: 'Failed to update tour' });
+    }
+};
+
+exports.deleteTour = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await moveToTrash('tour', id);
+        if (deleted) {
+            return res.json({ success: true, message: 'Tour moved to trash' });
+        }
+        res.status(404).json({ success: false, message: 'Tour not found' });
+    } catch (error) {
+        console.error('Error deleting tour:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete tour' });
+    }
+};
+
+exports.addTourStopPhoto = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'An image is required' });
+        }
+
+        const stop = await TourStop.findByPk(id);
+        if (!stop) {
+            return res.status(404).json({ success: false, message: 'Tour stop not found' });
+        }
+
+        const last = await TourStopPhoto.max('photo_order', { where: { tour_stop_id: stop.id } });
+        const photo = await TourStopPhoto.create({
+            tour_stop_id: stop.id,
+            image_url: req.file.path,
+            caption: req.body.caption || null,
+            photo_order: (last || 0) + 1
+        });
+        res.status(201).json({ success: true, data: photo });
+    } catch (error) {
+        console.error('Error adding tour photo:', error);
+        res.status(500).json({ success: false, message: 'Failed to add tour photo' });
+    }
+};
+
+exports.deleteTourStopPhoto = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await TourStopPhoto.destroy({ where: { id } });
+        if (deleted) {
+            return res.json({ success: true, message: 'Tour photo deleted successfully' });
+        }
+        res.status(404).json({ success: false, message: 'Tour photo not found' });
+    } catch (error) {
+        console.error('Error deleting tour photo:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete tour photo' });
+    }
+};
+
+// --- Navigation Graph: Nodes ---
+
+exports.getNodes = async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.campus_id) where.campus_id = req.query.campus_id;
+
+        const nodes = await Nodes.findAll({
+            where,
+            order: [['building', 'ASC'], ['floor_level', 'ASC'], ['node_code', 'ASC']]
+        });
+        res.json({ success: true, data: nodes });
+    } catch (error) {
+        console.error('Error fetching nodes:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch nodes' });
+    }
+};
+
+exports.getNodeById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const node = await Nodes.findByPk(id, {
+            include: [
+                { model: Edges, as: 'outgoing_edges' },
+                { model: Edges, as: 'incoming_edges' }
+            ]
+        });
+        if (node) {
+            res.json({ success: true, data: node });
+        } else {
+            res.status(404).json({ success: false, message: 'Node not found' });
+        }
+    } catch (error) {
+        console.error('Error fetching node details:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch node details' });
+    }
+};
+
+exports.createNode = async (req, res) => {
+    try {
+        const { node_code, name, building, floor_level, type_of_node, map_x, map_y, annotation, delay_seconds, campus_id } = req.body;
+        const image360 = req.file ? req.file.path : req.body.image360 || null;
+
+        const node = await Nodes.create({
+            node_code,
+            name,
+            building,
+            campus_id: campus_id || null,
+            floor_level,
+            type_of_node,
+            image360,
+            map_x: map_x === '' ? null : map_x,
+            map_y: map_y === '' ? null : map_y,
+            annotation: annotation === '' ? null : annotation,
+            delay_seconds: delay_seconds === '' || delay_seconds === undefined ? 0 : delay_seconds
+        });
+
+        res.status(201).json({ success: true, data: node });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            const trashed = req.body.node_code && await findInTrash('node', { node_code: req.body.node_code });
+            return res.status(409).json({ success: false, message: trashed ? takenByTrashed('Node code', trashed) : 'Node code already exists' });
+        }
+        console.error('Error creating node:', error);
+        res.status(500).json({ success: false, message: 'Failed to create node' });
+    }
+};
+
+exports.updateNode = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { node_code, name, building, floor_level, type_of_node, map_x, map_y, annotation, delay_seconds, campus_id } = req.body;
+        const updateData = {
+            node_code,
+            name,
+            building,
+            campus_id: campus_id === '' ? null : campus_id,
+            floor_level,
+            type_of_node,
+            map_x: map_x === '' ? null : map_x,
+            map_y: map_y === '' ? null : map_y,
+            annotation: annotation === '' ? null : annotation,
+            delay_seconds: delay_seconds === '' ? 0 : delay_seconds
+        };
+
+        if (req.file) {
+            updateData.image360 = req.file.path;
+        }
+
+        const [updated] = await Nodes.update(updateData, { where: { node_id: id } });
+
+        if (updated) {
+            const updatedNode = await Nodes.findByPk(id);
+            return res.json({ success: true, data: updatedNode });
+        }
+        res.status(404).json({ success: false, message: 'Node not found' });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            const trashed = req.body.node_code && await findInTrash('node', { node_code: req.body.node_code });
+            return res.status(409).json({ success: false, message: trashed ? takenByTrashed('Node code', trashed) : 'Node code already exists' });
+        }
+        console.error('Error updating node:', error);
+        res.status(500).json({ success: false, message: 'Failed to update node' });
+    }
+};
+
+// Its edges go to the trash with it; closures covering it go too unless they still cover something else
+exports.deleteNode = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await moveToTrash('node', id);
+        if (deleted) {
+            return res.json({ success: true, message: 'Node moved to trash' });
+        }
+        res.status(404).json({ success: false, message: 'Node not found' });
+    } catch (error) {
+        console.error('Error deleting node:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete node' });
+    }
+};
+
+// --- Navigation Graph: Edges ---
+
+exports.getEdges = async (req, res) => {
+    try {
+        const edges = await Edges.findAll({
+            include: [
+                { model: Nodes, as: 'from_node', attributes: ['node_id', 'node_code', 'name', 'floor_level'] },
+                { model: Nodes, as: 'to_node', attributes: ['node_id', 'node_code', 'name', 'floor_level'] }
+            ],
+            order: [['edge_id', 'ASC']]
+        });
+        res.json({ success: true, data: edges });
+    } catch (error) {
+        console.error('Error fetching edges:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch edges' });
+    }
+};
+
+// Error message if an edge cannot connect these nodes, otherwise null
+const validateEdgeEndpoints = async (from_node_id, to_node_id) => {
+    if (![from_node_id, to_node_id].every(id => Number.isInteger(Number(id)) && String(id).trim() !== '')) {
+        return 'from_node_id and to_node_id must be node ids';
+    }
+    if (Number(from_node_id) === Number(to_node_id)) return 'An edge cannot connect a node to itself';
+
+    const [fromNode, toNode] = await Promise.all([
+        Nodes.findByPk(from_node_id),
+        Nodes.findByPk(to_node_id)
+    ]);
+    if (!fromNode || !toNode) return 'Both from_node_id and to_node_id must reference existing nodes';
+    return null;
+};
+
+// Same rules as the GeoJSON import; distance cannot be cleared and is required for a new edge
+const validateEdgeProperties = (data, { creating = false } = {}) => {
+    if (data.distance === null || (creating && data.distance === undefined)) return 'distance is required';
+    return edgePropertiesError(data);
+};
+
+exports.createEdge = async (req, res) => {
+    try {
+        const {
+            from_node_id, to_node_id, distance, compass_angle, is_staircase, is_active,
+            is_ramp, slope_percent, is_narrow_door, is_restricted
+        } = req.body;
+
+        const invalid = await validateEdgeEndpoints(from_node_id, to_node_id)
+            || validateEdgeProperties({ ...req.body, compass_angle: compass_angle === '' ? null : compass_angle }, { creating: true });
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        const edge = await Edges.create({
+            from_node_id,
+            to_node_id,
+            distance,
+            compass_angle: compass_angle === '' ? null : compass_angle,
+            is_staircase: is_staircase || false,
+            is_ramp: is_ramp || false,
+            slope_percent: slope_percent || 0,
+            is_narrow_door: is_narrow_door || false,
+            is_restricted: is_restricted || false,
+            is_active: is_active === undefined ? true : is_active
+        });
+
+        res.status(201).json({ success: true, data: edge });
+    } catch (error) {
+        console.error('Error creating edge:', error);
+        res.status(500).json({ success: false, message: 'Failed to create edge' });
+    }
+};
+
+exports.updateEdge = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const edge = await Edges.findByPk(id);
+        if (!edge) {
+            return res.status(404).json({ success: false, message: 'Edge not found' });
+        }
+
+        const {
+            from_node_id, to_node_id, distance, compass_angle, is_staircase, is_active,
+            is_ramp, slope_percent, is_narrow_door, is_restricted
+        } = req.body;
+
+        // Either end may be moved on its own; check the edge it would become
+        if (from_node_id !== undefined || to_node_id !== undefined) {
+            const invalid = await validateEdgeEndpoints(
+                from_node_id !== undefined ? from_node_id : edge.from_node_id,
+                to_node_id !== undefined ? to_node_id : edge.to_node_id
+            );
+            if (invalid) {
+                return res.status(400).json({ success: false, message: invalid });
+            }
+        }
+
+        const updateData = {
+            from_node_id,
+            to_node_id,
+            distance,
+            compass_angle: compass_angle === '' ? null : compass_angle,
+            is_staircase,
+            is_ramp,
+            slope_percent,
+            is_narrow_door,
+            is_restricted,
+            is_active
+        };
+        const invalidProperties = validateEdgeProperties(updateData);
+        if (invalidProperties) {
+            return res.status(400).json({ success: false, message: invalidProperties });
+        }
+
+        await Edges.update(updateData, { where: { edge_id: id } });
+
+        const updatedEdge = await Edges.findByPk(id);
+        res.json({ success: true, data: updatedEdge });
+    } catch (error) {
+        console.error('Error updating edge:', error);
+        res.status(500).json({ success: false, message: 'Failed to update edge' });
+    }
+};
+
+exports.deleteEdge = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await moveToTrash('edge', id);
+        if (deleted) {
+            return res.json({ success: true, message: 'Edge moved to trash' });
+        }
+        res.status(404).json({ success: false, message: 'Edge not found' });
+    } catch (error) {
+        console.error('Error deleting edge:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete edge' });
+    }
+};
+
+// --- Navigation Graph: GeoJSON Import/Export ---
+
+exports.exportGraphGeoJson = async (req, res) => {
+    try {
+        const collection = await exportCampusGraph(req.params.id);
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Campus not found' });
+        }
+        res.set('Content-Disposition', `attachment; filename="campus-${req.params.id}-graph.geojson"`);
+        res.type('application/geo+json').send(JSON.stringify(collection));
+    } catch (error) {
+        console.error('Error exporting navigation graph:', error);
+        res.status(500).json({ success: false, message: 'Failed to export navigation graph' });
+    }
+};
+
+exports.importGraphGeoJson = async (req, res) => {
+    try {
+        const result = await importCampusGraph(req.params.id, req.body, { dryRun: req.query.dryRun === 'true' });
+        if (result.error) {
+            return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.error });
+        }
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error importing navigation graph:', error);
+        res.status(500).json({ success: false, message: 'Import failed, no changes were saved' });
+    }
+};
+
+// --- Navigation Graph: Validation ---
+
+exports.validateGraph = async (req, res) => {
+    try {
+        const report = await getPathfinder().validateGraph();
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('Error validating navigation graph:', error);
+        res.status(500).json({ success: false, message: 'Failed to validate navigation graph' });
+    }
+};
+
 // Existing placeholder functions (can be removed if no longer needed)
 exports.getData = (req, res) => {
     res.json({ success: true, message: 'API is working' });
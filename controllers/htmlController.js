@@ -52,6 +52,22 @@ exports.getManageNavigation = (req, res) => {
     res.sendFile(path.join(__dirname, '../html/admin/navigation.html'));
 };
 
+exports.getGraphEditor = (req, res) => {
+    res.sendFile(path.join(__dirname, '../html/admin/graph-editor.html'));
+};
+
+exports.getManageTours = (req, res) => {
+    res.sendFile(path.join(__dirname, '../html/admin/tours.html'));
+};
+
+exports.getManageUsers = (req, res) => {
+    res.sendFile(path.join(__dirname, '../html/admin/users.html'));
+};
+
+exports.getManageTrash = (req, res) => {
+    res.sendFile(path.join(__dirname, '../html/admin/trash.html'));
+};
+
 exports.getClientMain = (req, res) => {
     res.sendFile(path.join(__dirname, '../html/client/oc-main.html'));
 };
@@ -3,34 +3,39 @@ const sequelize = require('../config/db');
 
 // --- Define Models ---
 
+// Campus content is soft-deleted: destroy() sets deleted_at and queries skip those rows
+// until they are restored or purged (see src/services/trash.js)
+const softDelete = { timestamps: true, createdAt: false, updatedAt: false, paranoid: true, deletedAt: 'deleted_at' };
+
 const Campus = sequelize.define('Campus', {
     name: { type: DataTypes.STRING, allowNull: false },
     location: DataTypes.STRING,
-    about: DataTypes.TEXT
-}, { tableName: 'campus', timestamps: false });
+    about: DataTypes.TEXT,
+    map_scale: DataTypes.FLOAT // metres per map unit, used by the pathfinder heuristic
+}, { tableName: 'campus', ...softDelete });
 
 const CampusPhoto = sequelize.define('CampusPhoto', {
     image_url: DataTypes.STRING
-}, { tableName: 'campus_photos', timestamps: false });
+}, { tableName: 'campus_photos', ...softDelete });
 
 const Department = sequelize.define('Department', {
     name: { type: DataTypes.STRING, allowNull: false },
     description: DataTypes.TEXT,
     image_url: DataTypes.STRING
-}, { tableName: 'department', timestamps: false });
+}, { tableName: 'department', ...softDelete });
 
 const Facility = sequelize.define('Facility', {
     name: { type: DataTypes.STRING, allowNull: false },
     type: DataTypes.STRING,
     image_url: DataTypes.STRING,
     department_id: DataTypes.INTEGER
-}, { tableName: 'facilities', timestamps: false });
+}, { tableName: 'facilities', ...softDelete });
 
 const Photo = sequelize.define('Photo', {
     image_url: DataTypes.STRING,
     type: DataTypes.STRING,
     department_id: DataTypes.INTEGER
-}, { tableName: 'photos', timestamps: false });
+}, { tableName: 'photos', ...softDelete });
 
 const Event = sequelize.define('Event', {
     name: { type: DataTypes.STRING, allowNull: false },
@@ -42,24 +47,24 @@ const Event = sequelize.define('Event', {
     venue: DataTypes.STRING,
     event_organizer_name: DataTypes.STRING,
     event_organizer_image_url: DataTypes.STRING
-}, { tableName: 'events', timestamps: false });
+}, { tableName: 'events', ...softDelete });
 
 const EventPhoto = sequelize.define('EventPhoto', {
     image_url: DataTypes.STRING,
     type: DataTypes.STRING
-}, { tableName: 'event_photos', timestamps: false });
+}, { tableName: 'event_photos', ...softDelete });
 
 const Program = sequelize.define('Program', {
     description_name: DataTypes.STRING,
     code_name: DataTypes.STRING,
     image_url: DataTypes.STRING
-}, { tableName: 'programs', timestamps: false });
+}, { tableName: 'programs', ...softDelete });
 
 const HeadOfficer = sequelize.define('HeadOfficer', {
     fullname: { type: DataTypes.STRING, allowNull: false },
     position: DataTypes.STRING,
     image_url: DataTypes.STRING
-}, { tableName: 'heads_officers', timestamps: false });
+}, { tableName: 'heads_officers', ...softDelete });
 
 const Staff = sequelize.define('Staff', {
     fullname: { type: DataTypes.STRING, allowNull: false },
@@ -67,26 +72,32 @@ const Staff = sequelize.define('Staff', {
     image_url: DataTypes.STRING,
     department_id: DataTypes.INTEGER,
     offices_id: DataTypes.INTEGER
-}, { tableName: 'staff', timestamps: false });
+}, { tableName: 'staff', ...softDelete });
 
 const Office = sequelize.define('Office', {
     name: { type: DataTypes.STRING, allowNull: false },
     about: DataTypes.TEXT
-}, { tableName: 'offices', timestamps: false });
+}, { tableName: 'offices', ...softDelete });
 
 const OfficePhoto = sequelize.define('OfficePhoto', {
     type: DataTypes.STRING,
     image_url: DataTypes.STRING
-}, { tableName: 'offices_photos', timestamps: false });
+}, { tableName: 'offices_photos', ...softDelete });
 
 const FacilityPhoto = sequelize.define('FacilityPhoto', {
     image_url: DataTypes.STRING,
     facility_id: DataTypes.INTEGER
-}, { tableName: 'facility_photos', timestamps: false });
+}, { tableName: 'facility_photos', ...softDelete });
 
 const User = sequelize.define('User', {
     username: { type: DataTypes.STRING, allowNull: false, unique: true },
-    password: { type: DataTypes.STRING, allowNull: false }
+    password: { type: DataTypes.STRING, allowNull: false },
+    role: { type: DataTypes.STRING, allowNull: false, defaultValue: 'viewer' }, // see src/services/permissions.js
+    campus_id: DataTypes.INTEGER, // scope of a campus-admin
+    department_id: DataTypes.INTEGER, // scope of a department-editor
+    must_change_password: { type: DataTypes.BOOLEAN, defaultValue: false },
+    session_version: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // bumped to sign out existing sessions
+    last_login_at: DataTypes.DATE
 }, { tableName: 'users', timestamps: false });
 
 const Navigation = sequelize.define('Navigation', {
@@ -95,7 +106,146 @@ const Navigation = sequelize.define('Navigation', {
     image_url: DataTypes.STRING,
     directional_text: DataTypes.TEXT,
     step_order: { type: DataTypes.INTEGER, defaultValue: 0 }
-}, { tableName: 'navigation', timestamps: false });
+}, { tableName: 'navigation', ...softDelete });
+
+const Nodes = sequelize.define('Nodes', {
+    node_id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    node_code: { type: DataTypes.STRING, allowNull: false, unique: true }, // trashed nodes keep theirs until restored or purged
+    name: { type: DataTypes.STRING, allowNull: false },
+    building: DataTypes.STRING,
+    floor_level: { type: DataTypes.INTEGER, defaultValue: 0 },
+    type_of_node: { type: DataTypes.STRING, defaultValue: 'room' },
+    image360: DataTypes.STRING,
+    map_x: DataTypes.DECIMAL(10, 2),
+    map_y: DataTypes.DECIMAL(10, 2),
+    annotation: DataTypes.FLOAT,
+    delay_seconds: { type: DataTypes.INTEGER, defaultValue: 0 }, // expected wait passing this node (door, security queue, elevator)
+    campus_id: DataTypes.INTEGER
+}, { tableName: 'nodes', ...softDelete });
+
+const Edges = sequelize.define('Edges', {
+    edge_id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    from_node_id: { type: DataTypes.INTEGER, allowNull: false },
+    to_node_id: { type: DataTypes.INTEGER, allowNull: false },
+    distance: { type: DataTypes.FLOAT, allowNull: false },
+    compass_angle: DataTypes.FLOAT,
+    is_staircase: { type: DataTypes.BOOLEAN, defaultValue: false },
+    is_ramp: { type: DataTypes.BOOLEAN, defaultValue: false },
+    slope_percent: { type: DataTypes.FLOAT, defaultValue: 0 },
+    is_narrow_door: { type: DataTypes.BOOLEAN, defaultValue: false },
+    is_restricted: { type: DataTypes.BOOLEAN, defaultValue: false },
+    is_active: { type: DataTypes.BOOLEAN, defaultValue: true }
+}, { tableName: 'edges', ...softDelete });
+
+// Scheduled closure of hallways/rooms; the pathfinder avoids affected edges and nodes while active
+const Closure = sequelize.define('Closure', {
+    reason: { type: DataTypes.STRING, allowNull: false },
+    starts_at: { type: DataTypes.DATE, allowNull: false },
+    ends_at: { type: DataTypes.DATE, allowNull: false }
+}, { tableName: 'closures', ...softDelete });
+
+const ClosureEdge = sequelize.define('ClosureEdge', {
+    closure_id: { type: DataTypes.INTEGER, allowNull: false },
+    edge_id: { type: DataTypes.INTEGER, allowNull: false }
+}, { tableName: 'closure_edges', timestamps: false });
+
+const ClosureNode = sequelize.define('ClosureNode', {
+    closure_id: { type: DataTypes.INTEGER, allowNull: false },
+    node_id: { type: DataTypes.INTEGER, allowNull: false }
+}, { tableName: 'closure_nodes', timestamps: false });
+
+// Base map for one floor of a building; node map_x/map_y on that floor are pixels of this image
+const FloorPlan = sequelize.define('FloorPlan', {
+    campus_id: { type: DataTypes.INTEGER, allowNull: false },
+    building: DataTypes.STRING, // null for a campus-wide (outdoor) plan
+    floor_level: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    image_url: { type: DataTypes.STRING, allowNull: false },
+    scale: DataTypes.FLOAT, // metres per pixel
+    north_offset: { type: DataTypes.FLOAT, defaultValue: 0 } // compass bearing of the image's "up" direction
+}, {
+    tableName: 'floor_plans',
+    ...softDelete,
+    indexes: [{ unique: true, fields: ['campus_id', 'building', 'floor_level'] }] // trashed plans included
+});
+
+// Named guided tour made of ordered stops; only published tours are visible to the public
+const Tour = sequelize.define('Tour', {
+    name: { type: DataTypes.STRING, allowNull: false },
+    description: DataTypes.TEXT,
+    campus_id: DataTypes.INTEGER,
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'draft' } // 'draft' or 'published'
+}, { tableName: 'tours', ...softDelete });
+
+// One stop of a tour; may point at a destination (type + destination_id, like Navigation)
+const TourStop = sequelize.define('TourStop', {
+    tour_id: { type: DataTypes.INTEGER, allowNull: false },
+    stop_order: { type: DataTypes.INTEGER, defaultValue: 0 },
+    title: { type: DataTypes.STRING, allowNull: false },
+    description: DataTypes.TEXT,
+    type: DataTypes.STRING,
+    destination_id: DataTypes.INTEGER
+}, { tableName: 'tour_stops', timestamps: false });
+
+const TourStopPhoto = sequelize.define('TourStopPhoto', {
+    tour_stop_id: { type: DataTypes.INTEGER, allowNull: false },
+    image_url: { type: DataTypes.STRING, allowNull: false },
+    caption: DataTypes.TEXT,
+    photo_order: { type: DataTypes.INTEGER, defaultValue: 0 }
+}, { tableName: 'tour_stop_photos', timestamps: false });
+
+// Failed sign-in attempt, kept for super-admins to review (see src/services/loginThrottle.js)
+const FailedLogin = sequelize.define('FailedLogin', {
+    username: DataTypes.STRING,
+    ip_address: DataTypes.STRING,
+    user_agent: DataTypes.STRING,
+    reason: { type: DataTypes.STRING, allowNull: false }, // 'unknown_user' or 'wrong_password' ('throttled' in rows written before refused attempts stopped being logged)
+    locked: { type: DataTypes.BOOLEAN, defaultValue: false }, // this attempt started a lockout
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+}, { tableName: 'failed_logins', timestamps: false, indexes: [{ fields: ['created_at'] }] });
+
+// Attempt counter for one username or IP address when LOGIN_THROTTLE_STORE=database
+const LoginThrottle = sequelize.define('LoginThrottle', {
+    key: { type: DataTypes.STRING, primaryKey: true }, // 'user:<name>' or 'ip:<address>'
+    failures: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    last_failed_at: DataTypes.DATE,
+    blocked_until: DataTypes.DATE,
+    locked: { type: DataTypes.BOOLEAN, defaultValue: false }
+}, { tableName: 'login_throttles', timestamps: false });
+
+// One admin change to one record (see src/services/audit.js)
+const AuditLog = sequelize.define('AuditLog', {
+    user_id: DataTypes.INTEGER,
+    username: DataTypes.STRING, // kept so entries stay readable after the account is deleted
+    action: { type: DataTypes.STRING, allowNull: false }, // 'create', 'update', 'delete' or 'restore'
+    entity_type: { type: DataTypes.STRING, allowNull: false }, // model name, e.g. 'Department'
+    entity_id: { type: DataTypes.STRING, allowNull: false },
+    parent_type: DataTypes.STRING, // owning record for photos, stops and links, e.g. a Photo's Department
+    parent_id: DataTypes.STRING,
+    before: DataTypes.JSON, // changed fields before the change (null on create)
+    after: DataTypes.JSON, // changed fields after the change (null on delete)
+    ip_address: DataTypes.STRING,
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+}, {
+    tableName: 'audit_logs',
+    timestamps: false,
+    indexes: [
+        { fields: ['entity_type', 'entity_id'] },
+        { fields: ['parent_type', 'parent_id'] },
+        { fields: ['created_at'] }
+    ]
+});
+
+// Polymorphic link between a destination (type + destination_id, like Navigation) and its entrance nodes
+const DestinationNode = sequelize.define('DestinationNode', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    type: { type: DataTypes.STRING, allowNull: false },
+    destination_id: { type: DataTypes.INTEGER, allowNull: false },
+    node_id: { type: DataTypes.INTEGER, allowNull: false }
+}, {
+    tableName: 'destination_nodes',
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['type', 'destination_id', 'node_id'] }]
+});
 
 // --- Define Associations (Relationships) ---
 
@@ -155,6 +305,53 @@ FacilityPhoto.belongsTo(Facility, { foreignKey: 'facility_id' });
 Department.hasMany(Staff, { foreignKey: 'department_id', as: 'Staff', onDelete: 'CASCADE' });
 Staff.belongsTo(Department, { foreignKey: 'department_id' });
 
+// Campus -> Nodes
+Campus.hasMany(Nodes, { foreignKey: 'campus_id', onDelete: 'SET NULL' });
+Nodes.belongsTo(Campus, { foreignKey: 'campus_id' });
+
+// Nodes -> Edges (both directions are stored once and walked bidirectionally by the pathfinder)
+Nodes.hasMany(Edges, { foreignKey: 'from_node_id', as: 'outgoing_edges', onDelete: 'CASCADE' });
+Nodes.hasMany(Edges, { foreignKey: 'to_node_id', as: 'incoming_edges', onDelete: 'CASCADE' });
+Edges.belongsTo(Nodes, { foreignKey: 'from_node_id', as: 'from_node' });
+Edges.belongsTo(Nodes, { foreignKey: 'to_node_id', as: 'to_node' });
+
+// Campus -> FloorPlans
+Campus.hasMany(FloorPlan, { foreignKey: 'campus_id', onDelete: 'CASCADE' });
+FloorPlan.belongsTo(Campus, { foreignKey: 'campus_id' });
+
+// Campus -> Tours -> Stops -> Photos
+Campus.hasMany(Tour, { foreignKey: 'campus_id', onDelete: 'SET NULL' });
+Tour.belongsTo(Campus, { foreignKey: 'campus_id' });
+Tour.hasMany(TourStop, { foreignKey: 'tour_id', as: 'Stops', onDelete: 'CASCADE' });
+TourStop.belongsTo(Tour, { foreignKey: 'tour_id' });
+TourStop.hasMany(TourStopPhoto, { foreignKey: 'tour_stop_id', as: 'Photos', onDelete: 'CASCADE' });
+TourStopPhoto.belongsTo(TourStop, { foreignKey: 'tour_stop_id' });
+
+// User -> Campus / Department (permission scope)
+User.belongsTo(Campus, { foreignKey: 'campus_id', constraints: false });
+User.belongsTo(Department, { foreignKey: 'department_id', constraints: false });
+
+// Department/Office/Facility/Event -> Entrance Nodes (routable destinations)
+const entranceNodeOptions = (type) => ({
+    through: { model: DestinationNode, scope: { type }, unique: false },
+    foreignKey: 'destination_id',
+    otherKey: 'node_id',
+    as: 'EntranceNodes',
+    constraints: false
+});
+Department.belongsToMany(Nodes, entranceNodeOptions('department'));
+Office.belongsToMany(Nodes, entranceNodeOptions('office'));
+Facility.belongsToMany(Nodes, entranceNodeOptions('facility'));
+Event.belongsToMany(Nodes, entranceNodeOptions('event'));
+Nodes.hasMany(DestinationNode, { foreignKey: 'node_id', onDelete: 'CASCADE' });
+DestinationNode.belongsTo(Nodes, { foreignKey: 'node_id' });
+
+// Closure -> Edges / Nodes
+Closure.belongsToMany(Edges, { through: ClosureEdge, foreignKey: 'closure_id', otherKey: 'edge_id', as: 'ClosedEdges', onDelete: 'CASCADE' });
+Edges.belongsToMany(Closure, { through: ClosureEdge, foreignKey: 'edge_id', otherKey: 'closure_id', onDelete: 'CASCADE' });
+Closure.belongsToMany(Nodes, { through: ClosureNode, foreignKey: 'closure_id', otherKey: 'node_id', as: 'ClosedNodes', onDelete: 'CASCADE' });
+Nodes.belongsToMany(Closure, { through: ClosureNode, foreignKey: 'node_id', otherKey: 'closure_id', onDelete: 'CASCADE' });
+
 module.exports = {
     sequelize,
     Campus,
@@ -171,5 +368,18 @@ module.exports = {
     OfficePhoto,
     FacilityPhoto,
     Navigation,
-    User
+    Nodes,
+    Edges,
+    DestinationNode,
+    Closure,
+    ClosureEdge,
+    ClosureNode,
+    FloorPlan,
+    Tour,
+    TourStop,
+    TourStopPhoto,
+    User,
+    FailedLogin,
+    LoginThrottle,
+    AuditLog
 };
@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const apiController = require('../controllers/apiController');
 const { upload } = require('../config/cloudinary');
+const { passwordChangeRequired, allow, can, scopes } = require('../src/services/permissions');
+const { auditContext } = require('../src/services/audit');
 
-// Authentication Middleware
+// Authentication Middleware (read-only admin data; changes are guarded by allow/can, see src/services/permissions.js)
 const isAdmin = (req, res, next) => {
     if (req.session.userId) {
+        if (req.session.mustChangePassword) return passwordChangeRequired(res);
         return next();
     }
     res.status(401).json({ success: false, message: 'Unauthorized' });
@@ -16,68 +19,131 @@ router.post('/login', apiController.login);
 router.post('/logout', apiController.logout);
 router.get('/check-auth', apiController.checkAuth);
 
+// Admin Accounts (super-admins manage accounts and review failed sign-ins; everyone can change their own password)
+router.put('/users/me/password', auditContext, apiController.changeOwnPassword);
+router.get('/users', allow('user'), apiController.getUsers);
+router.post('/users', can('user'), apiController.createUser);
+router.put('/users/:id', can('user'), apiController.updateUser);
+router.delete('/users/:id', can('user'), apiController.deleteUser);
+router.get('/admin/failed-logins', allow('user'), apiController.getFailedLogins);
+router.delete('/admin/login-lockouts/:key', allow('user'), apiController.clearLoginLockout);
+
+// Audit Log (super-admins only: entries span every campus and include admin account changes)
+router.get('/admin/audit', allow('audit'), apiController.getAuditLog);
+
+// Trash (soft-deleted campus content; purged after TRASH_RETENTION_DAYS)
+router.get('/admin/trash', allow('trash'), apiController.getTrash);
+router.post('/admin/trash/:type/:id/restore', can('trash'), apiController.restoreTrashItem);
+
 // Dashboard
 router.get('/dashboard/stats', isAdmin, apiController.getDashboardStats);
 
 // Departments
 router.get('/departments', apiController.getDepartments);
-router.post('/departments', isAdmin, upload.array('images', 5), apiController.createDepartment);
-router.put('/departments/:id', isAdmin, upload.array('images', 5), apiController.updateDepartment);
-router.delete('/departments/:id', isAdmin, apiController.deleteDepartment);
-router.delete('/photos/:id', isAdmin, apiController.deletePhoto);
+router.post('/departments', allow('department'), upload.array('images', 5), can('department'), apiController.createDepartment);
+router.put('/departments/:id', allow('department'), upload.array('images', 5), can('department'), apiController.updateDepartment);
+router.delete('/departments/:id', can('department'), apiController.deleteDepartment);
+router.delete('/photos/:id', can('department', scopes.departmentPhoto), apiController.deletePhoto);
 
 // Campuses
 router.get('/campuses', apiController.getCampuses);
-router.post('/campuses', isAdmin, apiController.createCampus);
-router.put('/campuses/:id', isAdmin, apiController.updateCampus);
-router.delete('/campuses/:id', isAdmin, apiController.deleteCampus);
+router.post('/campuses', can('campus'), apiController.createCampus);
+router.put('/campuses/:id', can('campus-details'), apiController.updateCampus);
+router.delete('/campuses/:id', can('campus'), apiController.deleteCampus);
 
 // Offices
 router.get('/offices', apiController.getOffices);
-router.post('/offices', isAdmin, upload.array('images', 5), apiController.createOffice);
-router.put('/offices/:id', isAdmin, upload.array('images', 5), apiController.updateOffice);
-router.delete('/offices/:id', isAdmin, apiController.deleteOffice);
-router.delete('/office-photos/:id', isAdmin, apiController.deleteOfficePhoto);
+router.post('/offices', allow('office'), upload.array('images', 5), can('office'), apiController.createOffice);
+router.put('/offices/:id', allow('office'), upload.array('images', 5), can('office'), apiController.updateOffice);
+router.delete('/offices/:id', can('office'), apiController.deleteOffice);
+router.delete('/office-photos/:id', can('office', scopes.officePhoto), apiController.deleteOfficePhoto);
 
 // Head Officers
 router.get('/head-officers', apiController.getHeadOfficers);
-router.post('/head-officers', isAdmin, upload.single('image'), apiController.createHeadOfficer);
-router.put('/head-officers/:id', isAdmin, upload.single('image'), apiController.updateHeadOfficer);
-router.delete('/head-officers/:id', isAdmin, apiController.deleteHeadOfficer);
+router.post('/head-officers', allow('head-officer'), upload.single('image'), can('head-officer'), apiController.createHeadOfficer);
+router.put('/head-officers/:id', allow('head-officer'), upload.single('image'), can('head-officer'), apiController.updateHeadOfficer);
+router.delete('/head-officers/:id', can('head-officer'), apiController.deleteHeadOfficer);
 
 // Staff
 router.get('/staff', apiController.getStaff);
-router.post('/staff', isAdmin, upload.single('image'), apiController.createStaff);
-router.put('/staff/:id', isAdmin, upload.single('image'), apiController.updateStaff);
-router.delete('/staff/:id', isAdmin, apiController.deleteStaff);
+router.post('/staff', allow('staff'), upload.single('image'), can('staff'), apiController.createStaff);
+router.put('/staff/:id', allow('staff'), upload.single('image'), can('staff'), apiController.updateStaff);
+router.delete('/staff/:id', can('staff'), apiController.deleteStaff);
 
 // Programs
 router.get('/programs', apiController.getPrograms);
-router.post('/programs', isAdmin, upload.single('image'), apiController.createProgram);
-router.put('/programs/:id', isAdmin, upload.single('image'), apiController.updateProgram);
-router.delete('/programs/:id', isAdmin, apiController.deleteProgram);
+router.post('/programs', allow('program'), upload.single('image'), can('program'), apiController.createProgram);
+router.put('/programs/:id', allow('program'), upload.single('image'), can('program'), apiController.updateProgram);
+router.delete('/programs/:id', can('program'), apiController.deleteProgram);
 
 // Events
 router.get('/events', apiController.getEvents);
-router.post('/events', isAdmin, upload.single('image'), apiController.createEvent);
-router.put('/events/:id', isAdmin, upload.single('image'), apiController.updateEvent);
-router.delete('/events/:id', isAdmin, apiController.deleteEvent);
+router.post('/events', allow('event'), upload.single('image'), can('event'), apiController.createEvent);
+router.put('/events/:id', allow('event'), upload.single('image'), can('event'), apiController.updateEvent);
+router.delete('/events/:id', can('event'), apiController.deleteEvent);
 
 // Facilities
 router.get('/facilities', apiController.getFacilities);
-router.post('/facilities', isAdmin, upload.array('images', 5), apiController.createFacility);
-router.put('/facilities/:id', isAdmin, upload.array('images', 5), apiController.updateFacility);
-router.delete('/facilities/:id', isAdmin, apiController.deleteFacility);
-router.delete('/facility-photos/:id', isAdmin, apiController.deleteFacilityPhoto);
+router.post('/facilities', allow('facility'), upload.array('images', 5), can('facility'), apiController.createFacility);
+router.put('/facilities/:id', allow('facility'), upload.array('images', 5), can('facility'), apiController.updateFacility);
+router.delete('/facilities/:id', can('facility'), apiController.deleteFacility);
+router.delete('/facility-photos/:id', can('facility', scopes.facilityPhoto), apiController.deleteFacilityPhoto);
 
 // Navigation
 router.get('/navigations', apiController.getNavigations);
+router.get('/admin/navigations/orphaned', isAdmin, apiController.getOrphanedNavigations);
 router.get('/navigations/:type/:node_id', apiController.getNavigationByDestination);
-router.post('/navigations', isAdmin, upload.single('image'), apiController.createNavigation);
-router.put('/navigations/:id', isAdmin, upload.single('image'), apiController.updateNavigation);
-router.delete('/navigations/:id', isAdmin, apiController.deleteNavigation);
+router.put('/navigations/:type/:node_id/order', can('navigation'), apiController.reorderNavigations);
+router.post('/navigations/:type/:node_id/copy', can('navigation'), apiController.copyNavigations);
+router.post('/navigations', allow('navigation'), upload.single('image'), can('navigation'), apiController.createNavigation);
+router.put('/navigations/:id', allow('navigation'), upload.single('image'), can('navigation'), apiController.updateNavigation);
+router.delete('/navigations/:id', can('navigation'), apiController.deleteNavigation);
 router.get('/destinations/search', apiController.searchDestinations);
 
+// Route Finding
+router.get('/route', apiController.getRoute);
+router.get('/route.svg', apiController.getRouteSvg);
+router.get('/route/profiles', apiController.getRouteProfiles);
+router.get('/route/trip', apiController.getTrip);
+
+// Navigation Graph (used by the A* pathfinder)
+router.get('/nodes', isAdmin, apiController.getNodes);
+router.get('/nodes/:id', isAdmin, apiController.getNodeById);
+router.post('/nodes', allow('node'), upload.single('image360'), can('node'), apiController.createNode);
+router.put('/nodes/:id', allow('node'), upload.single('image360'), can('node'), apiController.updateNode);
+router.delete('/nodes/:id', can('node'), apiController.deleteNode);
+router.get('/edges', isAdmin, apiController.getEdges);
+router.post('/edges', can('edge'), apiController.createEdge);
+router.put('/edges/:id', can('edge'), apiController.updateEdge);
+router.delete('/edges/:id', can('edge'), apiController.deleteEdge);
+router.get('/admin/graph/validate', isAdmin, apiController.validateGraph);
+
+// Navigation Graph GeoJSON (send large imports as application/geo+json to get the higher body limit)
+router.get('/campuses/:id/graph.geojson', isAdmin, apiController.exportGraphGeoJson);
+router.post('/campuses/:id/graph/import', allow('node'), express.json({ limit: '10mb', type: 'application/geo+json' }), can('node', scopes.campusGraph), apiController.importGraphGeoJson);
+
+// Floor Plans (base maps for node coordinates)
+router.get('/floor-plans', apiController.getFloorPlans);
+router.get('/floor-plans/:id', apiController.getFloorPlanById);
+router.post('/floor-plans', allow('floor-plan'), upload.single('image'), can('floor-plan'), apiController.createFloorPlan);
+router.put('/floor-plans/:id', allow('floor-plan'), upload.single('image'), can('floor-plan'), apiController.updateFloorPlan);
+router.delete('/floor-plans/:id', can('floor-plan'), apiController.deleteFloorPlan);
+
+// Guided Tours (drafts are only visible to admins; PUT with `stops` replaces and reorders all stops)
+router.get('/tours', apiController.getTours);
+router.get('/tours/:id', apiController.getTourById);
+router.post('/tours', can('tour'), apiController.createTour);
+router.put('/tours/:id', can('tour'), apiController.updateTour);
+router.delete('/tours/:id', can('tour'), apiController.deleteTour);
+router.post('/tour-stops/:id/photos', allow('tour'), upload.single('image'), can('tour', scopes.tourStop), apiController.addTourStopPhoto);
+router.delete('/tour-photos/:id', can('tour', scopes.tourPhoto), apiController.deleteTourStopPhoto);
+
+// Scheduled Closures (edges/nodes the pathfinder avoids while active)
+router.get('/closures', apiController.getClosures);
+router.post('/closures', can('closure'), apiController.createClosure);
+router.put('/closures/:id', can('closure'), apiController.updateClosure);
+router.delete('/closures/:id', can('closure'), apiController.deleteClosure);
+
 // Filtered Data
 router.get('/departments/by-campus/:campusId', apiController.getDepartmentsByCampus);
 router.get('/offices/by-campus/:campusId', apiController.getOfficesByCampus);
@@ -6,6 +6,7 @@ const path = require('path');
 // Authentication Middleware
 const isAuthenticated = (req, res, next) => {
     if (req.session.userId) {
+        if (req.session.mustChangePassword) return res.redirect('/admin/change-password');
         return next();
     }
     res.redirect('/admin/login');
@@ -22,6 +23,14 @@ router.get('/admin/login', (req, res) => {
     res.sendFile(path.join(__dirname, '../html/admin/login.html'));
 });
 
+// Forced (first login) and voluntary password changes
+router.get('/admin/change-password', (req, res) => {
+    if (!req.session.userId) {
+        return res.redirect('/admin/login');
+    }
+    res.sendFile(path.join(__dirname, '../html/admin/change-password.html'));
+});
+
 // Protected Admin Routes
 router.get('/admin/settings', isAuthenticated, htmlController.getAdminSettings);
 router.get('/admin/dashboard', isAuthenticated, htmlController.getAdminDashboard);
@@ -32,6 +41,10 @@ router.get('/admin/programs', isAuthenticated, htmlController.getManagePrograms)
 router.get('/admin/events', isAuthenticated, htmlController.getManageEvents);
 router.get('/admin/facilities', isAuthenticated, htmlController.getManageFacilities);
 router.get('/admin/navigation', isAuthenticated, htmlController.getManageNavigation);
+router.get('/admin/graph-editor', isAuthenticated, htmlController.getGraphEditor);
+router.get('/admin/tours', isAuthenticated, htmlController.getManageTours);
+router.get('/admin/users', isAuthenticated, htmlController.getManageUsers);
+router.get('/admin/trash', isAuthenticated, htmlController.getManageTrash);
 router.get('/admin/personnel/head-officer', isAuthenticated, htmlController.getManageHeadOfficer);
 router.get('/admin/personnel/staff', isAuthenticated, htmlController.getManageStaff);
 
@@ -1,20 +1,40 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const session = require('express-session');
 
 const htmlRoutes = require('./routes/htmlRoutes');
 const apiRoutes = require('./routes/apiRoutes');
+const { startTrashPurge } = require('./src/services/trash');
+const { verifySession } = require('./src/services/permissions');
+const { startFailedLoginPurge } = require('./src/services/loginThrottle');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address (used by login throttling)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Without SESSION_SECRET a random secret is used, so sessions end whenever the server restarts
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('SESSION_SECRET must be set in production');
+    }
+    console.warn('SESSION_SECRET is not set; using a random secret for this run.');
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
 // Middleware for session management
 app.use(session({
-    secret: 'campus-navigator-secret', // Replace with a strong secret in production
+    secret: sessionSecret,
     resave: false,
     saveUninitialized: true,
-    cookie: { secure: false } // Set to true if using HTTPS
+    cookie: { secure: process.env.SESSION_COOKIE_SECURE === 'true', httpOnly: true, sameSite: 'lax' }
 }));
 
 // Middleware for parsing JSON and urlencoded form data
@@ -24,6 +44,9 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static assets (CSS, JS, Images)
 app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
+// Sign out sessions of deleted accounts and of passwords reset since sign-in
+app.use(verifySession);
+
 // Use API routes
 app.use('/api', apiRoutes);
 
@@ -35,4 +58,6 @@ app.use(express.static(path.join(__dirname, 'html')));
 
 app.listen(PORT, () => {
     console.log(`Server is running at http://localhost:${PORT}`);
+    startTrashPurge();
+    startFailedLoginPurge();
 });
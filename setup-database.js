@@ -1,10 +1,80 @@
-const { sequelize } = require('./models');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sequelize, User } = require('./models');
+const { checkPasswordPolicy, hashPassword } = require('./src/services/passwordPolicy');
+
+// The first super-admin comes from INITIAL_ADMIN_USERNAME / INITIAL_ADMIN_PASSWORD;
+// further accounts are managed from /admin/users. The password must be changed on first login.
+async function createInitialAdmin() {
+    if (await User.count() > 0) return;
+
+    const username = process.env.INITIAL_ADMIN_USERNAME;
+    const password = process.env.INITIAL_ADMIN_PASSWORD;
+    if (!username || !password) {
+        console.log('No admin accounts yet. Set INITIAL_ADMIN_USERNAME and INITIAL_ADMIN_PASSWORD and run this script again to create one.');
+        return;
+    }
+
+    const invalid = checkPasswordPolicy(password, username);
+    if (invalid) {
+        console.error(`Initial admin not created: ${invalid}`);
+        return;
+    }
+
+    await User.create({
+        username,
+        password: await hashPassword(password),
+        role: 'super-admin',
+        must_change_password: true
+    });
+    console.log(`Super-admin "${username}" created.`);
+}
+
+// Accounts without a role are viewers, so a database whose users table predates roles has no
+// super-admin after syncing. Only the account named by INITIAL_ADMIN_USERNAME is promoted.
+async function ensureSuperAdmin() {
+    if (await User.count() === 0 || await User.count({ where: { role: 'super-admin' } }) > 0) return;
+
+    const username = process.env.INITIAL_ADMIN_USERNAME;
+    const user = username ? await User.findOne({ where: { username } }) : null;
+    if (!user) {
+        console.log('No super-admin account. Set INITIAL_ADMIN_USERNAME to the existing account to promote and run this script again.');
+        return;
+    }
+
+    await user.update({ role: 'super-admin', campus_id: null, department_id: null });
+    console.log(`"${username}" promoted to super-admin.`);
+}
+
+// The removed create-admin.js created "admin4545" with a password published in the repository.
+// If it is still in use, the account is signed out and its password replaced: INITIAL_ADMIN_PASSWORD
+// when INITIAL_ADMIN_USERNAME names this account, otherwise a random one to be reset from /admin/users.
+const LEGACY_ADMIN = { username: 'admin4545', password: 'japs4545Q' };
+
+async function expireLegacyAdminPassword() {
+    const user = await User.findOne({ where: { username: LEGACY_ADMIN.username } });
+    if (!user || !(await bcrypt.compare(LEGACY_ADMIN.password, user.password))) return;
+
+    const replacement = process.env.INITIAL_ADMIN_USERNAME === user.username ? process.env.INITIAL_ADMIN_PASSWORD : null;
+    const usable = replacement && !checkPasswordPolicy(replacement, user.username);
+    await user.update({
+        password: await hashPassword(usable ? replacement : crypto.randomBytes(32).toString('hex')),
+        must_change_password: true,
+        session_version: (user.session_version || 0) + 1
+    });
+    console.log(usable
+        ? `"${user.username}" still had the old default password; it is now INITIAL_ADMIN_PASSWORD and must be changed on next login.`
+        : `"${user.username}" still had the old default password; it has been disabled. Set a new one from /admin/users, or set INITIAL_ADMIN_USERNAME=${user.username} and INITIAL_ADMIN_PASSWORD and run this script again.`);
+}
 
 async function syncDatabase() {
     try {
         console.log('Connecting to database and syncing models...');
         await sequelize.sync({ alter: true });
         console.log('All tables synced successfully with Sequelize!');
+        await createInitialAdmin();
+        await ensureSuperAdmin();
+        await expireLegacyAdminPassword();
     } catch (error) {
         console.error('Error syncing tables:', error);
     } finally {
@@ -12,4 +82,4 @@ async function syncDatabase() {
     }
 }
 
-syncDatabase();
\ No newline at end of file
+syncDatabase();
@@ -0,0 +1,225 @@
+/**
+ * Audit log of admin changes
+ *
+ * Every create, update and delete made while handling an admin request is
+ * written to audit_logs with the account, its IP address and the changed
+ * fields before and after the change. Changes are picked up by Sequelize
+ * hooks on every model, so nested saves (tour stops, photos, entrance-node
+ * links) and bulk Model.update()/destroy() calls are covered as well.
+ *
+ * The acting account is carried in an async context that can() in
+ * permissions.js enters before running a handler (auditContext covers the
+ * few routes without a permission check). Changes made outside an admin
+ * request, such as by setup-database.js or a login, are not recorded.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, AuditLog, TourStop } = require('../../models');
+
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+const context = new AsyncLocalStorage();
+
+// Bookkeeping tables: the log itself and the login throttling counters
+const UNAUDITED_MODELS = ['AuditLog', 'FailedLogin', 'LoginThrottle'];
+
+// Logged as changed, never with their value
+const REDACTED_FIELDS = {
+    User: ['password']
+};
+
+const DESTINATION_MODELS = {
+    department: 'Department',
+    office: 'Office',
+    facility: 'Facility',
+    event: 'Event'
+};
+
+// Owning record of child rows, so an entity's history includes its photos, stops and links
+const PARENTS = {
+    CampusPhoto: (row) => ['Campus', row.campus_id],
+    Photo: (row) => ['Department', row.department_id],
+    OfficePhoto: (row) => ['Office', row.offices_id],
+    FacilityPhoto: (row) => ['Facility', row.facility_id],
+    Navigation: (row) => [DESTINATION_MODELS[row.type], row.node_id],
+    DestinationNode: (row) => [DESTINATION_MODELS[row.type], row.destination_id],
+    ClosureEdge: (row) => ['Closure', row.closure_id],
+    ClosureNode: (row) => ['Closure', row.closure_id],
+    TourStop: (row) => ['Tour', row.tour_id],
+    TourStopPhoto: async (row, transaction) => {
+        const stop = await TourStop.findByPk(row.tour_stop_id, { attributes: ['id', 'tour_id'], transaction });
+        return ['Tour', stop ? stop.tour_id : null];
+    }
+};
+
+/**
+ * Run fn with req's account recorded as the actor of any change it makes
+ */
+function withActor(req, fn) {
+    const actor = {
+        user_id: req.session.userId || null,
+        username: req.session.username || null,
+        ip: req.ip || null
+    };
+    return context.run(actor, fn);
+}
+
+// Middleware form of withActor for routes that are not guarded by can()
+function auditContext(req, res, next) {
+    withActor(req, next);
+}
+
+function normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+// Form fields arrive as strings ('3', 'true', '2026-05-01T09:00') while stored values are typed
+function sameValue(a, b) {
+    a = normalize(a);
+    b = normalize(b);
+    if (a === null || b === null) return a === b;
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    if (String(a) === String(b)) return true;
+    if (a !== '' && b !== '' && !isNaN(a) && !isNaN(b)) return Number(a) === Number(b);
+    const time = Date.parse(a);
+    return !isNaN(time) && time === Date.parse(b);
+}
+
+function pick(model, values, fields) {
+    const redacted = REDACTED_FIELDS[model.name] || [];
+    return Object.fromEntries(fields.map(field => [field, redacted.includes(field) ? '[redacted]' : normalize(values[field])]));
+}
+
+async function record(model, action, before, after, options = {}) {
+    const actor = context.getStore();
+    if (!actor || UNAUDITED_MODELS.includes(model.name)) return;
+
+    // Moving a soft-deleted model in or out of the trash is an update of deleted_at
+    if (action === 'update' && model.options.paranoid && !sameValue(before.deleted_at, after.deleted_at)) {
+        return after.deleted_at
+            ? record(model, 'delete', before, null, options)
+            : record(model, 'restore', null, after, options);
+    }
+
+    const fields = Object.keys(model.rawAttributes)
+        .filter(field => action !== 'update' || !sameValue(before[field], after[field]));
+    if (fields.length === 0) return;
+
+    const row = after || before;
+    const [parentType, parentId] = PARENTS[model.name] ? await PARENTS[model.name](row, options.transaction) : [];
+
+    await AuditLog.create({
+        user_id: actor.user_id,
+        username: actor.username,
+        ip_address: actor.ip,
+        action,
+        entity_type: model.name,
+        entity_id: String(row[model.primaryKeyAttribute]),
+        parent_type: parentType && parentId ? parentType : null,
+        parent_id: parentType && parentId ? String(parentId) : null,
+        before: before ? pick(model, before, fields) : null,
+        after: after ? pick(model, after, fields) : null
+    }, { transaction: options.transaction });
+}
+
+// Bulk calls only carry a where clause; load the affected rows so each gets its own entry
+async function loadAffected(options) {
+    if (!context.getStore() || UNAUDITED_MODELS.includes(options.model.name)) return;
+    options.auditRows = await options.model.findAll({
+        where: options.where,
+        // update() has already added the soft-delete condition to where, unless it targets trashed rows
+        paranoid: options.type !== QueryTypes.BULKUPDATE,
+        transaction: options.transaction
+    });
+}
+
+sequelize.addHook('afterCreate', 'audit', (instance, options) =>
+    record(instance.constructor, 'create', null, instance.dataValues, options));
+
+sequelize.addHook('afterBulkCreate', 'audit', async (instances, options) => {
+    for (const instance of instances) {
+        await record(instance.constructor, 'create', null, instance.dataValues, options);
+    }
+});
+
+// Runs before save() resets _previousDataValues to the saved values
+sequelize.addHook('afterUpdate', 'audit', (instance, options) =>
+    record(instance.constructor, 'update', instance._previousDataValues, instance.dataValues, options));
+
+sequelize.addHook('beforeBulkUpdate', 'audit', loadAffected);
+
+sequelize.addHook('afterBulkUpdate', 'audit', async (options) => {
+    if (!options.auditRows || options.auditRows.length === 0) return;
+    const model = options.model;
+    const pk = model.primaryKeyAttribute;
+    const updated = await model.findAll({
+        where: { [pk]: options.auditRows.map(row => row[pk]) },
+        paranoid: false,
+        transaction: options.transaction
+    });
+    const updatedByPk = new Map(updated.map(row => [row[pk], row]));
+    for (const row of options.auditRows) {
+        const after = updatedByPk.get(row[pk]);
+        if (after) await record(model, 'update', row.dataValues, after.dataValues, options);
+    }
+});
+
+sequelize.addHook('afterDestroy', 'audit', (instance, options) =>
+    record(instance.constructor, 'delete', instance.dataValues, null, options));
+
+sequelize.addHook('beforeBulkDestroy', 'audit', loadAffected);
+
+sequelize.addHook('afterBulkDestroy', 'audit', async (options) => {
+    for (const row of options.auditRows || []) {
+        await record(options.model, 'delete', row.dataValues, null, options);
+    }
+});
+
+/**
+ * Audit entries, newest first
+ * With entity_type and entity_id, entries for that record's children
+ * (photos, navigation steps, stops, links) are included.
+ * @param {Object} filters - { entity_type, entity_id, user_id, username, action, from, to, limit, offset }
+ */
+async function getAuditLog(filters = {}) {
+    const { entity_type, entity_id, user_id, username, action, from, to, limit, offset } = filters;
+    const where = {};
+    const and = [];
+
+    if (entity_type && entity_id) {
+        and.push({
+            [Op.or]: [
+                { entity_type, entity_id: String(entity_id) },
+                { parent_type: entity_type, parent_id: String(entity_id) }
+            ]
+        });
+    } else if (entity_type) {
+        where.entity_type = entity_type;
+    }
+    if (user_id) where.user_id = user_id;
+    if (username) where.username = username;
+    if (action) where.action = action;
+    if (from || to) {
+        where.created_at = {};
+        if (from) where.created_at[Op.gte] = new Date(from);
+        if (to) where.created_at[Op.lte] = new Date(to);
+    }
+    if (and.length > 0) where[Op.and] = and;
+
+    return AuditLog.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200),
+        offset: Math.max(parseInt(offset, 10) || 0, 0)
+    });
+}
+
+module.exports = {
+    ACTIONS,
+    withActor,
+    auditContext,
+    getAuditLog
+};
@@ -0,0 +1,190 @@
+/**
+ * Message catalogue for turn-by-turn directions
+ *
+ * Templates use {placeholders} filled in by format(). A key missing from a
+ * language falls back to the English template, so a partial translation
+ * still produces complete directions.
+ *
+ * Supported languages:
+ * - en   English (default)
+ * - fil  Filipino (also selected by "tl")
+ * - ceb  Cebuano
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Other codes browsers send for a supported language
+const LANGUAGE_ALIASES = {
+    tl: 'fil'
+};
+
+const MESSAGES = {
+    en: {
+        depart: 'Face towards {landmark} and start walking',
+        already_there: 'You are already at {landmark}',
+        arrive: 'You have arrived at {landmark}',
+        straight: 'Continue straight for {distance}m{stairs} to {landmark}',
+        forward: 'Walk forward for {distance}m{stairs} to {landmark}',
+        turn: '{turn} and walk for {distance}m{stairs} to {landmark}',
+        via_stairs: ' via stairs',
+        continue_straight: 'continue straight',
+        slight_left: 'Slightly turn left',
+        slight_right: 'Slightly turn right',
+        turn_left: 'Turn left',
+        turn_right: 'Turn right',
+        sharp_left: 'Turn sharply left',
+        sharp_right: 'Turn sharply right',
+        stairs_up: 'Take the stairs and go up to floor {floor}',
+        stairs_down: 'Take the stairs and go down to floor {floor}',
+        elevator_up: 'Take the elevator and go up to floor {floor}',
+        elevator_down: 'Take the elevator and go down to floor {floor}',
+        go_up: 'Go up to floor {floor}',
+        go_down: 'Go down to floor {floor}',
+        duration_under_minute: 'less than a minute',
+        duration_minutes: '{minutes} min',
+        duration_hours: '{hours} h {minutes} min',
+        compass: [
+            'North', 'North-Northeast', 'Northeast', 'East-Northeast',
+            'East', 'East-Southeast', 'Southeast', 'South-Southeast',
+            'South', 'South-Southwest', 'Southwest', 'West-Southwest',
+            'West', 'West-Northwest', 'Northwest', 'North-Northwest'
+        ]
+    },
+
+    fil: {
+        depart: 'Humarap sa {landmark} at magsimulang maglakad',
+        already_there: 'Nandito ka na sa {landmark}',
+        arrive: 'Nakarating ka na sa {landmark}',
+        straight: 'Dumiretso nang {distance}m{stairs} papunta sa {landmark}',
+        forward: 'Maglakad pasulong nang {distance}m{stairs} papunta sa {landmark}',
+        turn: '{turn} at maglakad nang {distance}m{stairs} papunta sa {landmark}',
+        via_stairs: ' gamit ang hagdan',
+        continue_straight: 'dumiretso',
+        slight_left: 'Bahagyang lumiko pakaliwa',
+        slight_right: 'Bahagyang lumiko pakanan',
+        turn_left: 'Lumiko pakaliwa',
+        turn_right: 'Lumiko pakanan',
+        sharp_left: 'Lumiko nang husto pakaliwa',
+        sharp_right: 'Lumiko nang husto pakanan',
+        stairs_up: 'Gamitin ang hagdan at umakyat sa palapag {floor}',
+        stairs_down: 'Gamitin ang hagdan at bumaba sa palapag {floor}',
+        elevator_up: 'Sumakay sa elevator at umakyat sa palapag {floor}',
+        elevator_down: 'Sumakay sa elevator at bumaba sa palapag {floor}',
+        go_up: 'Umakyat sa palapag {floor}',
+        go_down: 'Bumaba sa palapag {floor}',
+        duration_under_minute: 'wala pang isang minuto',
+        duration_minutes: '{minutes} minuto',
+        duration_hours: '{hours} oras {minutes} minuto',
+        compass: [
+            'Hilaga', 'Hilaga-Hilagang-silangan', 'Hilagang-silangan', 'Silangan-Hilagang-silangan',
+            'Silangan', 'Silangan-Timog-silangan', 'Timog-silangan', 'Timog-Timog-silangan',
+            'Timog', 'Timog-Timog-kanluran', 'Timog-kanluran', 'Kanluran-Timog-kanluran',
+            'Kanluran', 'Kanluran-Hilagang-kanluran', 'Hilagang-kanluran', 'Hilaga-Hilagang-kanluran'
+        ]
+    },
+
+    ceb: {
+        depart: 'Atubanga ang {landmark} ug sugdi ang paglakaw',
+        already_there: 'Naa na ka sa {landmark}',
+        arrive: 'Niabot na ka sa {landmark}',
+        straight: 'Padayon og diretso og {distance}m{stairs} paingon sa {landmark}',
+        forward: 'Lakaw og diretso og {distance}m{stairs} paingon sa {landmark}',
+        turn: '{turn} ug lakaw og {distance}m{stairs} paingon sa {landmark}',
+        via_stairs: ' agi sa hagdanan',
+        continue_straight: 'padayon og diretso',
+        slight_left: 'Liko og gamay sa wala',
+        slight_right: 'Liko og gamay sa tuo',
+        turn_left: 'Liko sa wala',
+        turn_right: 'Liko sa tuo',
+        sharp_left: 'Liko pag-ayo sa wala',
+        sharp_right: 'Liko pag-ayo sa tuo',
+        stairs_up: 'Gamita ang hagdanan ug saka sa andana {floor}',
+        stairs_down: 'Gamita ang hagdanan ug kanaog sa andana {floor}',
+        elevator_up: 'Sakay sa elevator ug saka sa andana {floor}',
+        elevator_down: 'Sakay sa elevator ug kanaog sa andana {floor}',
+        go_up: 'Saka sa andana {floor}',
+        go_down: 'Kanaog sa andana {floor}',
+        duration_under_minute: 'ubos sa usa ka minuto',
+        duration_minutes: '{minutes} ka minuto',
+        duration_hours: '{hours} ka oras {minutes} ka minuto',
+        compass: [
+            'Amihanan', 'Amihanan-Amihanang-sidlakan', 'Amihanang-sidlakan', 'Sidlakan-Amihanang-sidlakan',
+            'Sidlakan', 'Sidlakan-Habagatang-sidlakan', 'Habagatang-sidlakan', 'Habagatan-Habagatang-sidlakan',
+            'Habagatan', 'Habagatan-Habagatang-kasadpan', 'Habagatang-kasadpan', 'Kasadpan-Habagatang-kasadpan',
+            'Kasadpan', 'Kasadpan-Amihanang-kasadpan', 'Amihanang-kasadpan', 'Amihanan-Amihanang-kasadpan'
+        ]
+    }
+};
+
+/**
+ * Map a language code ("fil", "en-US", "tl") to a supported language, or null
+ */
+function normalizeLanguage(code) {
+    if (!code) return null;
+    const base = String(code).trim().toLowerCase().split(/[-_]/)[0];
+    // Own keys only, so 'constructor' or '__proto__' is not taken for a language
+    const lang = Object.hasOwn(LANGUAGE_ALIASES, base) ? LANGUAGE_ALIASES[base] : base;
+    return Object.hasOwn(MESSAGES, lang) ? lang : null;
+}
+
+/**
+ * Pick the directions language for a request
+ * An explicit ?lang= wins; otherwise the highest-weighted supported
+ * Accept-Language entry; otherwise English.
+ * @param {string} [lang] - Value of the lang query parameter
+ * @param {string} [acceptLanguage] - Accept-Language header
+ * @returns {string} Supported language code
+ */
+function resolveLanguage(lang, acceptLanguage) {
+    const requested = normalizeLanguage(lang);
+    if (requested) return requested;
+
+    const preferred = String(acceptLanguage || '')
+        .split(',')
+        .map(entry => {
+            const [code, ...params] = entry.split(';');
+            const q = params.find(param => param.trim().startsWith('q='));
+            return { lang: normalizeLanguage(code), q: q ? parseFloat(q.trim().slice(2)) || 0 : 1 };
+        })
+        .filter(entry => entry.lang && entry.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return preferred.length > 0 ? preferred[0].lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message, falling back to English when the language lacks it
+ */
+function message(lang, key) {
+    const messages = Object.hasOwn(MESSAGES, lang) ? MESSAGES[lang] : MESSAGES[DEFAULT_LANGUAGE];
+    return messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+}
+
+/**
+ * Fill a message template with values, e.g. format('fil', 'go_up', { floor: 3 })
+ */
+function format(lang, key, values = {}) {
+    return message(lang, key).replace(/\{(\w+)\}/g, (match, name) =>
+        values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+    );
+}
+
+/**
+ * Human-friendly duration, rounded to whole minutes (e.g. "4 min", "1 h 5 min")
+ */
+function formatDuration(seconds, lang = DEFAULT_LANGUAGE) {
+    if (seconds < 60) return message(lang, 'duration_under_minute');
+
+    const totalMinutes = Math.round(seconds / 60);
+    if (totalMinutes < 60) return format(lang, 'duration_minutes', { minutes: totalMinutes });
+    return format(lang, 'duration_hours', { hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60 });
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES: Object.keys(MESSAGES),
+    resolveLanguage,
+    message,
+    format,
+    formatDuration
+};
@@ -0,0 +1,316 @@
+/**
+ * GeoJSON import/export of a campus navigation graph
+ *
+ * Nodes are Point features and edges are LineString features, both in map
+ * coordinates ([map_x, map_y]) rather than longitude/latitude. Each feature
+ * carries a "kind" property ('node' or 'edge'); edges reference their ends
+ * by node_code so a file can move between databases whose ids differ.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Campus, Nodes, Edges } = require('../../models');
+const { resetPathfinder } = require('./pathfinding');
+
+const NODE_PROPERTIES = ['node_code', 'name', 'building', 'floor_level', 'type_of_node', 'image360', 'annotation', 'delay_seconds'];
+const EDGE_PROPERTIES = ['distance', 'compass_angle', 'is_staircase', 'is_ramp', 'slope_percent', 'is_narrow_door', 'is_restricted', 'is_active'];
+
+// Largest coordinate a DECIMAL(10, 2) map_x/map_y column holds
+const MAX_COORDINATE = 99999999.99;
+
+const isBlank = value => value === undefined || value === null;
+
+// A number, or a string holding one (form-style values from hand-edited files)
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+const isBoolean = value => [true, false, 0, 1, '0', '1', 'true', 'false'].includes(value);
+
+/**
+ * Why a node feature cannot be imported, or null if it can
+ */
+function nodeFeatureError(feature) {
+    const properties = feature.properties;
+    if (typeof properties.node_code !== 'string' || properties.node_code.trim() === '') {
+        return 'node_code must be a non-empty string';
+    }
+    if (typeof properties.name !== 'string' || properties.name.trim() === '') return 'name must be a non-empty string';
+
+    if (feature.geometry) {
+        const point = feature.geometry.coordinates;
+        if (feature.geometry.type !== 'Point' || !Array.isArray(point) || point.length < 2) {
+            return 'Node geometry must be a Point';
+        }
+        if (!point.slice(0, 2).every(value => Math.abs(toNumber(value)) <= MAX_COORDINATE)) {
+            return `Point coordinates must be numbers between -${MAX_COORDINATE} and ${MAX_COORDINATE}`;
+        }
+    }
+
+    for (const field of ['floor_level', 'delay_seconds']) {
+        if (!isBlank(properties[field]) && !Number.isInteger(toNumber(properties[field]))) return `${field} must be a whole number`;
+    }
+    if (toNumber(properties.delay_seconds) < 0) return 'delay_seconds cannot be negative';
+    if (!isBlank(properties.annotation) && Number.isNaN(toNumber(properties.annotation))) return 'annotation must be a number';
+    for (const field of ['building', 'type_of_node', 'image360']) {
+        if (!isBlank(properties[field]) && typeof properties[field] !== 'string') return `${field} must be a string`;
+    }
+    return null;
+}
+
+/**
+ * Why the properties of an edge feature cannot be imported, or null if they can
+ */
+/**
+ * Error message for invalid edge properties, otherwise null (also used by the edge API)
+ * Missing properties are not checked; callers require distance where it is needed.
+ */
+function edgePropertiesError(properties) {
+    if (!isBlank(properties.distance) && !(toNumber(properties.distance) > 0)) return 'distance must be a positive number';
+    if (!isBlank(properties.compass_angle)) {
+        const angle = toNumber(properties.compass_angle);
+        if (!(angle >= 0 && angle < 360)) return 'compass_angle must be a number from 0 up to 360';
+    }
+    if (!isBlank(properties.slope_percent) && Number.isNaN(toNumber(properties.slope_percent))) return 'slope_percent must be a number';
+    for (const field of ['is_staircase', 'is_ramp', 'is_narrow_door', 'is_restricted', 'is_active']) {
+        if (!isBlank(properties[field]) && !isBoolean(properties[field])) return `${field} must be true or false`;
+    }
+    return null;
+}
+
+function pick(source, keys) {
+    const result = {};
+    for (const key of keys) {
+        if (source[key] !== undefined) result[key] = source[key];
+    }
+    return result;
+}
+
+function coordinates(node) {
+    const point = [parseFloat(node.map_x), parseFloat(node.map_y)];
+    return point.every(Number.isFinite) ? point : null;
+}
+
+/**
+ * Export every node of a campus and the edges between them
+ * @returns {Object|null} FeatureCollection, or null if the campus does not exist
+ */
+async function exportCampusGraph(campusId) {
+    const campus = await Campus.findByPk(campusId);
+    if (!campus) return null;
+
+    const nodes = await Nodes.findAll({ where: { campus_id: campusId }, order: [['node_id', 'ASC']] });
+    const nodesById = new Map(nodes.map(node => [node.node_id, node]));
+
+    const edges = await Edges.findAll({
+        where: { from_node_id: nodes.map(node => node.node_id) },
+        order: [['edge_id', 'ASC']]
+    });
+
+    const nodeFeatures = nodes.map(node => {
+        const point = coordinates(node);
+        return {
+            type: 'Feature',
+            id: node.node_code,
+            geometry: point ? { type: 'Point', coordinates: point } : null,
+            properties: { kind: 'node', ...pick(node.toJSON(), NODE_PROPERTIES) }
+        };
+    });
+
+    // Edges leaving the campus have no matching node feature, so they are left out
+    const edgeFeatures = edges
+        .filter(edge => nodesById.has(edge.to_node_id))
+        .map(edge => {
+            const from = nodesById.get(edge.from_node_id);
+            const to = nodesById.get(edge.to_node_id);
+            const line = coordinates(from) && coordinates(to) ? [coordinates(from), coordinates(to)] : null;
+            return {
+                type: 'Feature',
+                id: `${from.node_code}->${to.node_code}`,
+                geometry: line ? { type: 'LineString', coordinates: line } : null,
+                properties: {
+                    kind: 'edge',
+                    from_node_code: from.node_code,
+                    to_node_code: to.node_code,
+                    ...pick(edge.toJSON(), EDGE_PROPERTIES)
+                }
+            };
+        });
+
+    return {
+        type: 'FeatureCollection',
+        campus: { id: campus.id, name: campus.name },
+        features: [...nodeFeatures, ...edgeFeatures]
+    };
+}
+
+/**
+ * Import a FeatureCollection into a campus
+ * Nodes are upserted by node_code and edges by their pair of end nodes (in
+ * either direction; a reversed edge's compass_angle is turned to the stored
+ * direction). Invalid features are rejected and reported while the rest
+ * are applied; everything runs in one transaction, rolled back on dry runs.
+ * @param {number} campusId - Campus the nodes belong to
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { dry_run, created, updated, rejected, summary } or { error }
+ */
+async function importCampusGraph(campusId, collection, { dryRun = false } = {}) {
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        return { error: 'Body must be a GeoJSON FeatureCollection' };
+    }
+
+    const campus = await Campus.findByPk(campusId);
+    if (!campus) return { error: 'Campus not found', notFound: true };
+
+    const report = {
+        dry_run: dryRun,
+        created: { nodes: [], edges: [] },
+        updated: { nodes: [], edges: [] },
+        rejected: []
+    };
+    const reject = (index, feature, reason) => {
+        const properties = (feature && feature.properties) || {};
+        report.rejected.push({
+            index,
+            kind: properties.kind || null,
+            id: properties.node_code || (properties.from_node_code ? `${properties.from_node_code}->${properties.to_node_code}` : null),
+            reason
+        });
+    };
+
+    // Nodes first so edges in the same file can reference them
+    const indexed = collection.features.map((feature, index) => ({ feature, index }));
+    const kindOf = ({ feature }) => feature && feature.properties && feature.properties.kind;
+    const nodeFeatures = indexed.filter(entry => kindOf(entry) === 'node');
+    const edgeFeatures = indexed.filter(entry => kindOf(entry) === 'edge');
+    indexed
+        .filter(entry => kindOf(entry) !== 'node' && kindOf(entry) !== 'edge')
+        .forEach(({ feature, index }) => reject(index, feature, 'Feature kind must be "node" or "edge"'));
+
+    const transaction = await sequelize.transaction();
+    try {
+        const nodeIds = new Map(); // node_code -> node_id
+
+        for (const { feature, index } of nodeFeatures) {
+            const properties = feature.properties;
+            const invalid = nodeFeatureError(feature);
+            if (invalid) {
+                reject(index, feature, invalid);
+                continue;
+            }
+
+            const data = { ...pick(properties, NODE_PROPERTIES), campus_id: campus.id };
+            if (feature.geometry) [data.map_x, data.map_y] = feature.geometry.coordinates.slice(0, 2).map(toNumber);
+
+            // Trashed nodes keep their node_code until restored or purged
+            const existing = await Nodes.findOne({ where: { node_code: properties.node_code }, paranoid: false, transaction });
+            if (existing && existing.deleted_at) {
+                reject(index, feature, `node_code belongs to node #${existing.node_id} in the trash; restore it first`);
+                continue;
+            }
+            // Unassigned nodes are left to a super-admin rather than pulled into this campus
+            if (existing && existing.campus_id === null) {
+                reject(index, feature, 'node_code belongs to a node without a campus');
+                continue;
+            }
+            if (existing && existing.campus_id !== campus.id) {
+                reject(index, feature, 'node_code belongs to a node on another campus');
+                continue;
+            }
+
+            if (existing) {
+                await existing.update(data, { transaction });
+                report.updated.nodes.push(properties.node_code);
+                nodeIds.set(properties.node_code, existing.node_id);
+            } else {
+                const node = await Nodes.create(data, { transaction });
+                report.created.nodes.push(properties.node_code);
+                nodeIds.set(properties.node_code, node.node_id);
+            }
+        }
+
+        const resolveNode = async (code) => {
+            if (!nodeIds.has(code)) {
+                const node = await Nodes.findOne({ where: { node_code: code, campus_id: campus.id }, transaction });
+                if (node) nodeIds.set(code, node.node_id);
+            }
+            return nodeIds.get(code);
+        };
+
+        for (const { feature, index } of edgeFeatures) {
+            const properties = feature.properties;
+            const fromId = properties.from_node_code ? await resolveNode(properties.from_node_code) : undefined;
+            const toId = properties.to_node_code ? await resolveNode(properties.to_node_code) : undefined;
+            const edgeId = `${properties.from_node_code}->${properties.to_node_code}`;
+
+            if (!fromId || !toId) {
+                reject(index, feature, 'from_node_code and to_node_code must be nodes of this campus');
+                continue;
+            }
+            if (fromId === toId) {
+                reject(index, feature, 'An edge cannot connect a node to itself');
+                continue;
+            }
+
+            const invalid = edgePropertiesError(properties);
+            if (invalid) {
+                reject(index, feature, invalid);
+                continue;
+            }
+
+            const data = pick(properties, EDGE_PROPERTIES);
+            const existing = await Edges.findOne({
+                where: {
+                    [Op.or]: [
+                        { from_node_id: fromId, to_node_id: toId },
+                        { from_node_id: toId, to_node_id: fromId }
+                    ]
+                },
+                transaction
+            });
+
+            if (existing) {
+                // The file lists the stored edge the other way round: its bearing is the only
+                // direction-specific property, so turn it to the stored direction
+                if (existing.from_node_id !== fromId && !isBlank(data.compass_angle)) {
+                    data.compass_angle = (toNumber(data.compass_angle) + 180) % 360;
+                }
+                await existing.update(data, { transaction });
+                report.updated.edges.push(edgeId);
+            } else if (!(data.distance > 0)) {
+                reject(index, feature, 'A new edge needs a positive distance');
+            } else {
+                await Edges.create({ ...data, from_node_id: fromId, to_node_id: toId }, { transaction });
+                report.created.edges.push(edgeId);
+            }
+        }
+
+        if (dryRun) {
+            await transaction.rollback();
+        } else {
+            await transaction.commit();
+        }
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    // Hooks fire inside the transaction; rebuild from the committed (or rolled back) state
+    resetPathfinder();
+
+    report.rejected.sort((a, b) => a.index - b.index);
+    report.summary = {
+        created: report.created.nodes.length + report.created.edges.length,
+        updated: report.updated.nodes.length + report.updated.edges.length,
+        rejected: report.rejected.length
+    };
+    return report;
+}
+
+module.exports = {
+    edgePropertiesError,
+    exportCampusGraph,
+    importCampusGraph
+};
@@ -0,0 +1,291 @@
+/**
+ * Brute-force protection for /api/login
+ *
+ * Failed attempts are counted per username and per IP address. Each failure
+ * blocks further attempts for an exponentially growing delay
+ * (LOGIN_BACKOFF_BASE_SECONDS * 2^(failures - 1), capped at
+ * LOGIN_BACKOFF_MAX_SECONDS); reaching the attempt limit locks the username
+ * or address for LOGIN_LOCKOUT_MINUTES. Counters are forgotten after
+ * LOGIN_ATTEMPT_WINDOW_MINUTES without a failure, and a successful login
+ * clears its username's counter.
+ *
+ * An attempt is counted (reserveAttempt) before its password is checked, in
+ * one atomic step with the block check, so parallel guesses cannot all slip
+ * in before the first failure is recorded; recordSuccess takes the count back.
+ *
+ * Counters live in memory by default; LOGIN_THROTTLE_STORE=database keeps
+ * them in the login_throttles table so they survive restarts and are shared
+ * between server processes. Every failed attempt is also written to the
+ * failed_logins table for super-admins to review, and kept there for
+ * FAILED_LOGIN_RETENTION_DAYS (startFailedLoginPurge). Attempts refused while
+ * blocked are answered with a 429 and not written, so a flood of them cannot
+ * grow the table.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, FailedLogin, LoginThrottle } = require('../../models');
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return value > 0 ? value : fallback;
+}
+
+const config = {
+    maxUsernameAttempts: envNumber('LOGIN_MAX_ATTEMPTS_PER_USERNAME', 5),
+    maxIpAttempts: envNumber('LOGIN_MAX_ATTEMPTS_PER_IP', 20),
+    backoffBaseSeconds: envNumber('LOGIN_BACKOFF_BASE_SECONDS', 1),
+    backoffMaxSeconds: envNumber('LOGIN_BACKOFF_MAX_SECONDS', 60),
+    lockoutMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15),
+    windowMinutes: envNumber('LOGIN_ATTEMPT_WINDOW_MINUTES', 15),
+    retentionDays: envNumber('FAILED_LOGIN_RETENTION_DAYS', 30)
+};
+
+// How often failed-login events past their retention are deleted
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Counters are { failures, last_failed_at, blocked_until, locked } keyed by 'user:<name>' / 'ip:<address>'.
+// transact(keys, update) reads the entries of keys (null if missing) and writes what update returns for
+// each of them (undefined: unchanged, null: deleted) without another attempt getting in between.
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+        this.pruneTimer = setInterval(() => this.prune(new Date()), config.windowMinutes * 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    // Synchronous from read to write, so atomic within the process
+    async transact(keys, update) {
+        const next = update(keys.map(key => this.entries.get(key) || null));
+        keys.forEach((key, i) => {
+            if (next[i] === null) this.entries.delete(key);
+            else if (next[i]) this.entries.set(key, next[i]);
+        });
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async list() {
+        return [...this.entries].map(([key, entry]) => ({ key, ...entry }));
+    }
+
+    prune(now) {
+        for (const [key, entry] of this.entries) {
+            if (!current(entry, now)) this.entries.delete(key);
+        }
+    }
+}
+
+class DatabaseStore {
+    // Rows are created first so they can be locked; concurrent attempts on a key queue on the lock
+    async transact(keys, update) {
+        await sequelize.transaction(async (transaction) => {
+            await LoginThrottle.bulkCreate(keys.map(key => ({ key, failures: 0 })), { ignoreDuplicates: true, transaction });
+            const rows = await LoginThrottle.findAll({ where: { key: keys }, lock: transaction.LOCK.UPDATE, transaction });
+            const byKey = new Map(rows.map(row => [row.key, row.toJSON()]));
+
+            const next = update(keys.map(key => byKey.get(key) || null));
+            for (const [i, key] of keys.entries()) {
+                if (next[i] === null) await LoginThrottle.destroy({ where: { key }, transaction });
+                else if (next[i]) await LoginThrottle.update(next[i], { where: { key }, transaction });
+            }
+        });
+    }
+
+    async delete(key) {
+        return (await LoginThrottle.destroy({ where: { key } })) > 0;
+    }
+
+    async list() {
+        const windowStart = new Date(Date.now() - config.windowMinutes * 60 * 1000);
+        const rows = await LoginThrottle.findAll({
+            where: { [Op.or]: [{ blocked_until: { [Op.gt]: new Date() } }, { last_failed_at: { [Op.gt]: windowStart } }] }
+        });
+        return rows.map(row => row.toJSON());
+    }
+}
+
+const store = process.env.LOGIN_THROTTLE_STORE === 'database' ? new DatabaseStore() : new MemoryStore();
+
+function usernameKey(username) {
+    return `user:${String(username || '').trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `ip:${ip || 'unknown'}`;
+}
+
+// The entry if it still counts: not past its lockout and not outside the attempt window
+function current(entry, now) {
+    if (!entry) return null;
+    const blockedUntil = entry.blocked_until ? new Date(entry.blocked_until) : null;
+    if (entry.locked) return blockedUntil > now ? entry : null;
+    if (blockedUntil > now) return entry;
+    const lastFailed = new Date(entry.last_failed_at);
+    return now - lastFailed < config.windowMinutes * 60 * 1000 ? entry : null;
+}
+
+function nextEntry(entry, maxAttempts, now) {
+    const failures = (entry ? entry.failures : 0) + 1;
+    const locked = failures >= maxAttempts;
+    const delaySeconds = locked
+        ? config.lockoutMinutes * 60
+        : Math.min(config.backoffBaseSeconds * 2 ** (failures - 1), config.backoffMaxSeconds);
+    return {
+        failures,
+        last_failed_at: now,
+        blocked_until: new Date(now.getTime() + delaySeconds * 1000),
+        locked
+    };
+}
+
+// The longest block among current entries, or null
+function longestBlock(entries, now) {
+    let blocked = null;
+    for (const entry of entries) {
+        if (!entry || !(new Date(entry.blocked_until) > now)) continue;
+        const retryAfter = Math.ceil((new Date(entry.blocked_until) - now) / 1000);
+        if (!blocked || retryAfter > blocked.retryAfter) blocked = { retryAfter, locked: Boolean(entry.locked) };
+    }
+    return blocked;
+}
+
+/**
+ * Reserve a login attempt before its password is checked
+ * Unless blocked, the attempt is counted as a failure against the username
+ * and IP right away; recordSuccess() takes it back.
+ * @returns {Object} { allowed, retryAfter (seconds), locked, ipFailures } - while blocked,
+ *   allowed is false and nothing is counted; otherwise the block the attempt starts if it fails
+ */
+async function reserveAttempt(username, ip) {
+    const now = new Date();
+    const counters = [
+        { key: usernameKey(username), max: config.maxUsernameAttempts },
+        { key: ipKey(ip), max: config.maxIpAttempts }
+    ];
+
+    let reservation;
+    await store.transact(counters.map(counter => counter.key), (entries) => {
+        const live = entries.map(entry => current(entry, now));
+        const blocked = longestBlock(live, now);
+        if (blocked) {
+            reservation = { allowed: false, ...blocked };
+            return [];
+        }
+
+        const next = live.map((entry, i) => nextEntry(entry, counters[i].max, now));
+        reservation = { allowed: true, ...longestBlock(next, now), ipFailures: next[1].failures };
+        return next;
+    });
+    return reservation;
+}
+
+function logFailure({ username, ip, userAgent, reason, locked = false }) {
+    return FailedLogin.create({
+        username: username ? String(username).slice(0, 255) : null,
+        ip_address: ip || null,
+        user_agent: userAgent ? String(userAgent).slice(0, 255) : null,
+        reason,
+        locked
+    });
+}
+
+/**
+ * Record the event of a failed attempt, already counted by reserveAttempt()
+ * @param {Object} attempt - { username, ip, userAgent, reason, locked }
+ */
+async function recordFailure({ username, ip, userAgent, reason, locked = false }) {
+    await logFailure({ username, ip, userAgent, reason, locked });
+}
+
+/**
+ * Clear the username's counter and take the reserved attempt back from the IP's
+ * @param {Object} reservation - Result of reserveAttempt()
+ */
+async function recordSuccess(username, ip, { ipFailures } = {}) {
+    const now = new Date();
+    await store.transact([usernameKey(username), ipKey(ip)], ([, entry]) => {
+        const live = current(entry, now);
+        if (!live || live.failures <= 1) return [null, null];
+        // No attempt from the address since this one: the address was not blocked before it either
+        const unblock = live.failures === ipFailures ? { blocked_until: null, locked: false } : {};
+        return [null, { ...live, failures: live.failures - 1, ...unblock }];
+    });
+}
+
+/**
+ * Usernames and addresses that are currently locked out or backing off
+ */
+async function listLockouts() {
+    const now = new Date();
+    return (await store.list())
+        .filter(entry => current(entry, now))
+        .map(entry => {
+            const [kind, ...rest] = entry.key.split(':');
+            return {
+                key: entry.key,
+                kind: kind === 'user' ? 'username' : 'ip',
+                value: rest.join(':'),
+                failures: entry.failures,
+                locked: Boolean(entry.locked) && new Date(entry.blocked_until) > now,
+                blocked_until: new Date(entry.blocked_until) > now ? entry.blocked_until : null,
+                last_failed_at: entry.last_failed_at
+            };
+        })
+        .sort((a, b) => new Date(b.last_failed_at) - new Date(a.last_failed_at));
+}
+
+// Lift a lockout early (e.g. after confirming the account owner's identity)
+async function clearLockout(key) {
+    return store.delete(key);
+}
+
+/**
+ * Recent failed-login events, newest first
+ * @param {Object} filters - { username, ip, limit, offset }
+ */
+async function getFailedLogins({ username, ip, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (username) where.username = username;
+    if (ip) where.ip_address = ip;
+    return FailedLogin.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200),
+        offset: Math.max(parseInt(offset, 10) || 0, 0)
+    });
+}
+
+/**
+ * Delete failed-login events older than FAILED_LOGIN_RETENTION_DAYS
+ * @returns {number} Events deleted
+ */
+async function purgeFailedLogins(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.retentionDays * 24 * 60 * 60 * 1000);
+    return FailedLogin.destroy({ where: { created_at: { [Op.lt]: cutoff } } });
+}
+
+function startFailedLoginPurge() {
+    const run = () => purgeFailedLogins()
+        .then(purged => {
+            if (purged > 0) console.log(`Deleted ${purged} failed sign-in(s) older than ${config.retentionDays} day(s)`);
+        })
+        .catch(error => console.error('Error purging failed sign-ins:', error));
+
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    reserveAttempt,
+    recordFailure,
+    recordSuccess,
+    listLockouts,
+    clearLockout,
+    getFailedLogins,
+    purgeFailedLogins,
+    startFailedLoginPurge
+};
@@ -0,0 +1,37 @@
+/**
+ * Password rules for admin accounts
+ *
+ * - at least PASSWORD_MIN_LENGTH characters (default 10)
+ * - at least one letter and one number
+ * - must not contain the username
+ */
+
+const bcrypt = require('bcryptjs');
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10;
+
+/**
+ * @returns {string|null} What the password is missing, or null if it is acceptable
+ */
+function checkPasswordPolicy(password, username) {
+    if (typeof password !== 'string' || password.length === 0) return 'A password is required';
+
+    const problems = [];
+    if (password.length < MIN_LENGTH) problems.push(`be at least ${MIN_LENGTH} characters long`);
+    if (!/[A-Za-z]/.test(password)) problems.push('contain a letter');
+    if (!/[0-9]/.test(password)) problems.push('contain a number');
+    if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+        problems.push('not contain the username');
+    }
+
+    return problems.length > 0 ? `Password must ${problems.join(', ')}` : null;
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, 10);
+}
+
+module.exports = {
+    checkPasswordPolicy,
+    hashPassword
+};
@@ -7,15 +7,71 @@
  * - Compass angles for directional awareness
  * - Staircase detection (is_staircase flag)
  * - Active/inactive edges (is_active flag)
+ * - Routing profiles (default, wheelchair, equipment, staff) with per-profile edge costs
+ * - Scheduled closures of edges/nodes, applied at query time
  */
 
-const { Nodes, Edges } = require('../models');
+const { Op } = require('sequelize');
+const { Campus, Nodes, Edges, Closure, ClosureEdge, ClosureNode, FloorPlan } = require('../../models');
+const { getProfile, listProfiles } = require('./routingProfiles');
+const { DEFAULT_LANGUAGE, message, format, formatDuration } = require('./directionMessages');
+
+// Vertical distance between consecutive floor levels, in metres
+const FLOOR_HEIGHT = 4.0;
+
+// Trips with more stops than this keep the given order (n! orderings are tried)
+const MAX_OPTIMIZED_STOPS = 6;
+
+// Routing context value for "ignore closures"
+const NO_CLOSURES = { list: [], edges: new Map(), nodes: new Map() };
+
+// Most alternative routes returned for one request
+const MAX_ALTERNATIVES = 3;
+
+// Alternative routes may share at most this fraction of their distance with each other
+const MAX_ROUTE_OVERLAP = 0.7;
+
+// Alternatives may cost at most this multiple of the shortest route
+const MAX_ALTERNATIVE_STRETCH = 2;
+
+// Cost factor put on the edges of every route found so far, so the next search is pushed off them
+const ALTERNATIVE_EDGE_PENALTY = 1.6;
+
+// Penalised searches allowed per requested alternative
+const MAX_ALTERNATIVE_SEARCHES = 4;
+
+// Node expansions shared by all alternative searches of one request
+const ALTERNATIVE_EXPANSION_BUDGET = 20000;
+
+// Instructions that walk along a floor; straight segments after them are merged in
+const WALKING_ACTIONS = new Set([
+    'straight', 'forward',
+    'slight_left', 'slight_right', 'turn_left', 'turn_right', 'sharp_left', 'sharp_right'
+]);
 
 class PathFinder {
     constructor() {
         this.nodesCache = new Map();
         this.graph = new Map();
+        this.campusScales = new Map(); // {campus_id: metres per map unit}
+        this.planScales = new Map(); // {"campus_id|building|floor_level": metres per floor-plan pixel}
+        this.codeIndex = new Map(); // {node_code: node_id}
+        this.closures = []; // current and upcoming closures, filtered by time per query
         this.initialized = false;
+        this.building = null;
+    }
+
+    /**
+     * Build the graph once and share the in-flight build between concurrent requests
+     */
+    async ensureGraph() {
+        if (this.initialized) return;
+        if (!this.building) {
+            this.building = this.buildGraph().finally(() => {
+                this.building = null;
+            });
+        }
+        await this.building;
     }
 
     /**
@@ -24,11 +80,28 @@ class PathFinder {
     async buildGraph() {
         this.nodesCache.clear();
         this.graph.clear();
+        this.campusScales.clear();
+        this.planScales.clear();
+        this.codeIndex.clear();
+        this.closures = [];
+
+        // Floor plans give the nodes drawn on them their own pixel scale
+        const floorPlans = await FloorPlan.findAll({ attributes: ['campus_id', 'building', 'floor_level', 'scale'] });
+        for (const plan of floorPlans) {
+            this.planScales.set(floorPlanKey(plan), plan.scale > 0 ? plan.scale : null);
+        }
+
+        // Cache map scales so the heuristic can convert map units to metres
+        const campuses = await Campus.findAll({ attributes: ['id', 'map_scale'] });
+        for (const campus of campuses) {
+            if (campus.map_scale > 0) this.campusScales.set(campus.id, campus.map_scale);
+        }
 
         // Cache all nodes
         const nodes = await Nodes.findAll();
         for (const node of nodes) {
             this.nodesCache.set(node.node_id, node.toJSON());
+            this.codeIndex.set(node.node_code, node.node_id);
             this.graph.set(node.node_id, []);
         }
 
@@ -51,30 +124,129 @@ class PathFinder {
                     to: toId,
                     distance: edge.distance,
                     compass_angle: edge.compass_angle,
-                    is_staircase: edge.is_staircase,
+                    ...this.accessibilityAttributes(edge),
                     edge_id: edge.edge_id
                 });
             }
 
-            // Add reverse edge (bidirectional)
-            const reverseAngle = (edge.compass_angle + 180) % 360;
+            // Add reverse edge (bidirectional); a missing angle stays missing
+            const reverseAngle = edge.compass_angle !== null ? (edge.compass_angle + 180) % 360 : null;
             if (this.graph.has(toId)) {
                 this.graph.get(toId).push({
                     to: fromId,
                     distance: edge.distance,
                     compass_angle: reverseAngle,
-                    is_staircase: edge.is_staircase,
+                    ...this.accessibilityAttributes(edge),
                     edge_id: edge.edge_id
                 });
             }
         }
 
+        // Cache closures that have not ended yet; whether one applies is decided per query
+        const closures = await Closure.findAll({
+            where: { ends_at: { [Op.gt]: new Date() } },
+            include: [
+                { model: Edges, as: 'ClosedEdges', attributes: ['edge_id'], through: { attributes: [] } },
+                { model: Nodes, as: 'ClosedNodes', attributes: ['node_id'], through: { attributes: [] } }
+            ]
+        });
+        this.closures = closures.map(closure => ({
+            closure_id: closure.id,
+            reason: closure.reason,
+            starts_at: closure.starts_at,
+            ends_at: closure.ends_at,
+            edge_ids: closure.ClosedEdges.map(edge => edge.edge_id),
+            node_ids: closure.ClosedNodes.map(node => node.node_id)
+        }));
+
         this.initialized = true;
     }
 
     /**
-     * Heuristic for A*: Estimate distance using floor difference
-     * Assumes ~4 meters per floor level
+     * Edge attributes routing profiles use to penalise or exclude an edge
+     */
+    accessibilityAttributes(edge) {
+        return {
+            is_staircase: edge.is_staircase,
+            is_ramp: edge.is_ramp,
+            slope_percent: edge.slope_percent,
+            is_narrow_door: edge.is_narrow_door,
+            is_restricted: edge.is_restricted
+        };
+    }
+
+    /**
+     * Normalise route options into the routing context used by search();
+     * a boolean is the legacy avoidStairs flag
+     * @param {boolean|Object} options - avoidStairs, or { profile, avoidStairs, at }
+     *   where at is the time closures are evaluated for (defaults to now)
+     */
+    resolveRouteOptions(options) {
+        const { profile, avoidStairs = false, at } = typeof options === 'boolean'
+            ? { avoidStairs: options }
+            : (options || {});
+        return {
+            profile: getProfile(profile),
+            profileName: profile,
+            avoidStairs,
+            closed: this.activeClosures(at ? new Date(at) : new Date())
+        };
+    }
+
+    /**
+     * Closures in effect at a given time, indexed by the edges and nodes they close
+     */
+    activeClosures(at) {
+        const closed = { list: [], edges: new Map(), nodes: new Map() };
+
+        for (const closure of this.closures) {
+            if (new Date(closure.starts_at) > at || new Date(closure.ends_at) <= at) continue;
+
+            closed.list.push(closure);
+            closure.edge_ids.forEach(edgeId => closed.edges.set(edgeId, closure));
+            closure.node_ids.forEach(nodeId => closed.nodes.set(nodeId, closure));
+        }
+        return closed;
+    }
+
+    /**
+     * Price an edge for a routing context, or explain why it cannot be used
+     * @returns {Object} { cost } or { excluded: reason, closure_id? }
+     */
+    evaluateEdge(edgeInfo, routing) {
+        if (routing.avoidStairs && edgeInfo.is_staircase) return { excluded: 'stairs' };
+
+        const closure = routing.closed.edges.get(edgeInfo.edge_id) || routing.closed.nodes.get(edgeInfo.to);
+        if (closure) return { excluded: `closed: ${closure.reason}`, closure_id: closure.closure_id };
+
+        return routing.profile.cost(edgeInfo);
+    }
+
+    /**
+     * Closures that block a path which would otherwise be taken
+     * Lets the response tell users their usual route is closed and why.
+     */
+    closuresOnUsualPath(startId, goalId, routing) {
+        if (routing.closed.list.length === 0) return [];
+
+        const usual = this.search(startId, goalId, { ...routing, closed: NO_CLOSURES });
+        if (!usual.found) return [];
+
+        const affecting = new Set();
+        for (const { nodeId, edge } of this.stepsFromCameFrom(usual.cameFrom, startId, goalId)) {
+            const closure = (edge && routing.closed.edges.get(edge.edge_id)) || routing.closed.nodes.get(nodeId);
+            if (closure) affecting.add(closure);
+        }
+
+        return [...affecting].map(({ closure_id, reason, starts_at, ends_at }) => ({ closure_id, reason, starts_at, ends_at }));
+    }
+
+    /**
+     * Heuristic for A*: straight-line distance in metres between two nodes
+     * Combines the planar map distance (scaled by the campus' metres per map unit)
+     * with the vertical floor distance (~4 meters per floor level).
+     * Falls back to the vertical component alone when the nodes have no coordinates,
+     * belong to different campuses, or the campus has no scale, so it never overestimates.
      */
     heuristic(nodeAId, nodeBId) {
         const nodeA = this.nodesCache.get(nodeAId);
@@ -82,35 +254,99 @@ class PathFinder {
 
         if (!nodeA || !nodeB) return 0.0;
 
-        const floorDiff = Math.abs(nodeA.floor_level - nodeB.floor_level);
-        return floorDiff * 4.0; // Assume 4 meters per floor
+        const vertical = Math.abs(nodeA.floor_level - nodeB.floor_level) * FLOOR_HEIGHT;
+
+        const scale = this.planarScale(nodeA, nodeB);
+        if (!scale || nodeA.map_x == null || nodeA.map_y == null || nodeB.map_x == null || nodeB.map_y == null) {
+            return vertical;
+        }
+
+        const dx = (parseFloat(nodeA.map_x) - parseFloat(nodeB.map_x)) * scale;
+        const dy = (parseFloat(nodeA.map_y) - parseFloat(nodeB.map_y)) * scale;
+        return Math.sqrt(dx * dx + dy * dy + vertical * vertical);
+    }
+
+    /**
+     * Metres per map unit for measuring straight between two nodes, or undefined
+     * when their coordinates are not comparable. Nodes on a floor plan are in that
+     * plan's pixels, so they only compare with nodes on the same plan; nodes
+     * without a plan fall back to the campus-wide map scale.
+     */
+    planarScale(nodeA, nodeB) {
+        const planA = floorPlanKey(nodeA);
+        const planB = floorPlanKey(nodeB);
+        if (this.planScales.has(planA) || this.planScales.has(planB)) {
+            return planA === planB ? this.planScales.get(planA) || undefined : undefined;
+        }
+        return nodeA.campus_id === nodeB.campus_id ? this.campusScales.get(nodeA.campus_id) : undefined;
     }
 
     /**
      * Find shortest path using A* algorithm
      * @param {string} startCode - Starting node code
      * @param {string} goalCode - Destination node code
-     * @param {boolean} avoidStairs - If true, avoid edges with is_staircase=True
-     * @returns {Object} Path details or error message
+     * @param {boolean|Object} options - avoidStairs flag, or { profile, avoidStairs, at }
+     * @returns {Object} Path details, or { error, code } where code is
+     *   'UNKNOWN_PROFILE', 'NODE_NOT_FOUND' or 'NO_PATH'
      */
-    async findPath(startCode, goalCode, avoidStairs = false) {
-        if (!this.initialized) {
-            await this.buildGraph();
+    async findPath(startCode, goalCode, options = false) {
+        await this.ensureGraph();
+
+        const routing = this.resolveRouteOptions(options);
+        const { profile, profileName } = routing;
+        if (!profile) {
+            const available = listProfiles().map(p => p.name).join(', ');
+            return { error: `Unknown routing profile: ${profileName} (available: ${available})`, code: 'UNKNOWN_PROFILE' };
         }
 
-        // Find start and goal nodes
-        const startNode = await Nodes.findOne({ where: { node_code: startCode } });
-        const goalNode = await Nodes.findOne({ where: { node_code: goalCode } });
+        // Resolve start and goal nodes from the in-memory index
+        const startId = this.codeIndex.get(startCode);
+        const goalId = this.codeIndex.get(goalCode);
 
-        if (!startNode) {
-            return { error: `Start node not found: ${startCode}` };
+        if (startId === undefined) {
+            return { error: `Start node not found: ${startCode}`, code: 'NODE_NOT_FOUND' };
         }
-        if (!goalNode) {
-            return { error: `Goal node not found: ${goalCode}` };
+        if (goalId === undefined) {
+            return { error: `Goal node not found: ${goalCode}`, code: 'NODE_NOT_FOUND' };
         }
 
-        const startId = startNode.node_id;
-        const goalId = goalNode.node_id;
+        const search = this.search(startId, goalId, routing);
+        const avoidedEdges = [...search.avoidedEdges.values()];
+        const closures = this.closuresOnUsualPath(startId, goalId, routing);
+
+        if (!search.found) {
+            return {
+                error: closures.length > 0
+                    ? `No path found: ${closures.map(closure => closure.reason).join('; ')}`
+                    : 'No path found between the specified nodes',
+                code: 'NO_PATH',
+                profile: profile.name,
+                avoided_edges: avoidedEdges,
+                closures
+            };
+        }
+
+        const result = this.reconstructPath(search.cameFrom, startId, goalId, search.cost);
+        result.profile = profile.name;
+        result.duration = this.estimateDuration(result.path, profile);
+        result.nodes_expanded = search.expanded;
+        result.avoided_edges = avoidedEdges;
+        result.usual_path_closed = closures.length > 0;
+        result.closures = closures;
+        return result;
+    }
+
+    /**
+     * A* search between two node ids
+     * @param {Object} routing - { profile, avoidStairs, closed } from resolveRouteOptions
+     * @param {Object} constraints - { penalties: Map<edge_id, factor>, maxExpanded }; penalties
+     *   (>= 1) multiply edge costs, and the search gives up after maxExpanded nodes
+     *   (both used by the alternative routes search)
+     * @returns {Object} { found, cameFrom, cost, expanded, avoidedEdges }
+     */
+    search(startId, goalId, routing, constraints = {}) {
+        const penalties = constraints.penalties || new Map();
+        const maxExpanded = constraints.maxExpanded || Infinity;
 
         // A* data structures
         const openSet = new MinHeap();
@@ -120,16 +356,18 @@ class PathFinder {
         const gScore = new Map([[startId, 0]]);
         const fScore = new Map([[startId, this.heuristic(startId, goalId)]]);
         const visited = new Set();
+        const avoidedEdges = new Map(); // {edge_id: {edge_id, from, to, reason}}
 
         while (!openSet.isEmpty()) {
             const { value: currentId } = openSet.pop();
 
             if (visited.has(currentId)) continue;
+            if (visited.size >= maxExpanded) break;
             visited.add(currentId);
 
             // Goal reached
             if (currentId === goalId) {
-                return this.reconstructPath(cameFrom, startId, goalId, gScore.get(goalId));
+                return { found: true, cameFrom, cost: gScore.get(goalId), expanded: visited.size, avoidedEdges };
             }
 
             // Explore neighbors
@@ -137,11 +375,24 @@ class PathFinder {
             for (const edgeInfo of neighbors) {
                 const neighborId = edgeInfo.to;
 
-                // Skip stairs if requested
-                if (avoidStairs && edgeInfo.is_staircase) continue;
+                // Skip stairs if requested and closed edges, then let the profile price or exclude the edge
+                const evaluation = this.evaluateEdge(edgeInfo, routing);
+
+                if (evaluation.excluded) {
+                    if (!avoidedEdges.has(edgeInfo.edge_id)) {
+                        avoidedEdges.set(edgeInfo.edge_id, {
+                            edge_id: edgeInfo.edge_id,
+                            from: this.nodesCache.get(currentId).node_code,
+                            to: this.nodesCache.get(neighborId).node_code,
+                            reason: evaluation.excluded,
+                            ...(evaluation.closure_id ? { closure_id: evaluation.closure_id } : {})
+                        });
+                    }
+                    continue;
+                }
 
                 // Calculate tentative g_score
-                const tentativeG = gScore.get(currentId) + edgeInfo.distance;
+                const tentativeG = gScore.get(currentId) + evaluation.cost * (penalties.get(edgeInfo.edge_id) || 1);
 
                 if (!gScore.has(neighborId) || tentativeG < gScore.get(neighborId)) {
                     // Better path found
@@ -154,66 +405,281 @@ class PathFinder {
             }
         }
 
-        return { error: 'No path found between the specified nodes' };
+        return { found: false, cameFrom, cost: Infinity, expanded: visited.size, avoidedEdges };
     }
 
     /**
-     * Reconstruct path from cameFrom map
+     * Find up to k loop-free alternatives to an already computed path
+     * Each search re-runs A* with the edges of every route found so far made
+     * ALTERNATIVE_EDGE_PENALTY times more expensive, which pushes it onto other
+     * corridors. A candidate is kept when it shares at most MAX_ROUTE_OVERLAP of
+     * its distance with every kept route and costs at most MAX_ALTERNATIVE_STRETCH
+     * times the shortest one. The work is bounded by MAX_ALTERNATIVE_SEARCHES per
+     * alternative and ALTERNATIVE_EXPANSION_BUDGET node expansions in total.
+     * @param {Object} primary - Successful result of findPath/findNearestPath
+     * @param {number} k - Maximum number of alternatives (at most MAX_ALTERNATIVES)
+     * @param {boolean|Object} options - avoidStairs flag, or { profile, avoidStairs, at }
+     * @returns {Object[]} Alternative path results, cheapest first
+     */
+    findAlternatives(primary, k, options = false) {
+        const routing = this.resolveRouteOptions(options);
+        const startId = primary.start.node_id;
+        const goalId = primary.goal.node_id;
+        const wanted = Math.min(Math.max(Math.floor(k) || 0, 0), MAX_ALTERNATIVES);
+
+        const penalties = new Map(); // {edge_id: cost factor}
+        const penalise = (route) => {
+            for (const step of route.steps.slice(1)) {
+                penalties.set(step.edge.edge_id, (penalties.get(step.edge.edge_id) || 1) * ALTERNATIVE_EDGE_PENALTY);
+            }
+        };
+
+        const primaryRoute = { steps: this.routeSteps(primary.path), cost: primary.total_cost };
+        const accepted = [primaryRoute];
+        penalise(primaryRoute);
+
+        let budget = ALTERNATIVE_EXPANSION_BUDGET;
+        for (let searches = 0; accepted.length <= wanted && searches < wanted * MAX_ALTERNATIVE_SEARCHES && budget > 0; searches++) {
+            const search = this.search(startId, goalId, routing, { penalties, maxExpanded: budget });
+            budget -= search.expanded;
+            if (!search.found) break;
+
+            const steps = this.stepsFromCameFrom(search.cameFrom, startId, goalId);
+            const cost = steps.slice(1).reduce((sum, step) => sum + this.evaluateEdge(step.edge, routing).cost, 0);
+            const route = { steps, cost };
+            penalise(route);
+
+            if (cost > primaryRoute.cost * MAX_ALTERNATIVE_STRETCH) break;
+            if (accepted.every(other => this.routeOverlap(other, route) <= MAX_ROUTE_OVERLAP)) {
+                accepted.push(route);
+            }
+        }
+
+        return accepted.slice(1)
+            .sort((a, b) => a.cost - b.cost)
+            .map(route => {
+                const result = this.buildPathResult(route.steps, route.cost);
+                result.profile = routing.profile.name;
+                result.duration = this.estimateDuration(result.path, routing.profile);
+                return result;
+            });
+    }
+
+    /**
+     * Share of the shorter route's distance that runs over edges both routes use
+     */
+    routeOverlap(routeA, routeB) {
+        const edgesOf = route => new Map(route.steps.slice(1).map(step => [step.edge.edge_id, step.edge.distance]));
+        const edgesA = edgesOf(routeA);
+        const edgesB = edgesOf(routeB);
+
+        let shared = 0;
+        for (const [edgeId, distance] of edgesA) {
+            if (edgesB.has(edgeId)) shared += distance;
+        }
+
+        const sum = edges => [...edges.values()].reduce((total, distance) => total + distance, 0);
+        const shorter = Math.min(sum(edgesA), sum(edgesB));
+        return shorter > 0 ? shared / shorter : 1;
+    }
+
+    /**
+     * Find the shortest path to whichever of several goal nodes is nearest
+     * (e.g. the entrances of an office)
+     * @param {string} startCode - Starting node code
+     * @param {string[]} goalCodes - Candidate destination node codes
+     * @param {boolean|Object} options - avoidStairs flag, or { profile, avoidStairs }
+     * @returns {Object} Path details for the nearest goal, or { error, code }
+     */
+    async findNearestPath(startCode, goalCodes, options = false) {
+        let best = null;
+        let lastError = { error: 'No path found between the specified nodes', code: 'NO_PATH' };
+
+        for (const goalCode of goalCodes) {
+            const result = await this.findPath(startCode, goalCode, options);
+            if (result.error) {
+                if (result.code === 'UNKNOWN_PROFILE') return result;
+                lastError = result;
+                continue;
+            }
+            if (!best || result.total_cost < best.total_cost) {
+                best = result;
+            }
+        }
+
+        return best || lastError;
+    }
+
+    /**
+     * Plan a trip that visits several destinations, starting from one node
+     * Each stop lists its candidate node codes (e.g. every entrance of an office);
+     * a leg always goes to the nearest candidate of its stop.
+     * @param {string} startCode - Starting node code
+     * @param {Array<{ codes: string[], label?: string }>} stops - Destinations to visit
+     * @param {Object} options - { optimize, profile, avoidStairs, lang }; optimize reorders
+     *   up to MAX_OPTIMIZED_STOPS stops to minimise the total cost, otherwise the given order is kept
+     * @returns {Object} Stitched trip with per-leg details, or { error, code }
      */
-    reconstructPath(cameFrom, startId, goalId, totalDistance) {
+    async planTrip(startCode, stops, options = {}) {
+        const { optimize = false, lang = DEFAULT_LANGUAGE, ...routeOptions } = options;
+        const legCache = new Map(); // {"fromCode|stopIndex": nearest path result}
+
+        const findLeg = async (fromCode, stopIndex) => {
+            const key = `${fromCode}|${stopIndex}`;
+            if (!legCache.has(key)) {
+                legCache.set(key, await this.findNearestPath(fromCode, stops[stopIndex].codes, routeOptions));
+            }
+            return legCache.get(key);
+        };
+
+        // Walk an ordering of stops, chaining each leg from where the previous one arrived
+        const walk = async (order) => {
+            const legs = [];
+            let fromCode = startCode;
+            for (const stopIndex of order) {
+                const leg = await findLeg(fromCode, stopIndex);
+                if (leg.error) return { error: leg.error, code: leg.code, stop: stopIndex };
+                legs.push({ stopIndex, result: leg });
+                fromCode = leg.goal.node_code;
+            }
+            return { legs, cost: legs.reduce((sum, leg) => sum + leg.result.total_cost, 0) };
+        };
+
+        const givenOrder = stops.map((_, i) => i);
+        let best = await walk(givenOrder);
+        if (best.error) return best;
+
+        const optimized = optimize && stops.length > 1 && stops.length <= MAX_OPTIMIZED_STOPS;
+        if (optimized) {
+            for (const order of permutations(givenOrder)) {
+                const candidate = await walk(order);
+                if (!candidate.error && candidate.cost < best.cost) best = candidate;
+            }
+        }
+
+        // Stitch legs into one path; each leg starts where the previous one ended
         const path = [];
+        const instructions = [];
+        const legs = best.legs.map(({ stopIndex, result }, i) => {
+            path.push(...(i === 0 ? result.path : result.path.slice(1)));
+            const { instructions: legInstructions, directions: legDirections } = this.addDirections({ path: result.path }, lang);
+            instructions.push(...legInstructions);
+            return {
+                stop: stopIndex,
+                label: stops[stopIndex].label || result.goal.name,
+                from: result.start.node_code,
+                to: result.goal.node_code,
+                total_distance: result.total_distance,
+                num_nodes: result.num_nodes,
+                duration: { seconds: result.duration.seconds, text: formatDuration(result.duration.seconds, lang) },
+                instructions: legInstructions,
+                directions: legDirections
+            };
+        });
+
+        const totalDistance = legs.reduce((sum, leg) => sum + leg.total_distance, 0);
+        const totalSeconds = legs.reduce((sum, leg) => sum + leg.duration.seconds, 0);
+
+        return {
+            success: true,
+            order: optimized ? 'optimized' : 'fixed',
+            visit_order: legs.map(leg => leg.stop),
+            legs,
+            path,
+            total_distance: Math.round(totalDistance * 100) / 100,
+            duration: { seconds: totalSeconds, text: formatDuration(totalSeconds, lang) },
+            num_nodes: path.length,
+            start: path[0],
+            goal: path[path.length - 1],
+            instructions,
+            directions: instructions.map(instruction => instruction.text)
+        };
+    }
+
+    /**
+     * Reconstruct path from cameFrom map
+     * totalCost is the profile-weighted cost; total_distance is the walked distance in metres
+     */
+    reconstructPath(cameFrom, startId, goalId, totalCost) {
+        return this.buildPathResult(this.stepsFromCameFrom(cameFrom, startId, goalId), totalCost);
+    }
+
+    /**
+     * Walk cameFrom back from the goal into ordered [{ nodeId, edge }] steps
+     * (the first step is the start node and has no edge)
+     */
+    stepsFromCameFrom(cameFrom, startId, goalId) {
+        const steps = [];
         let currentId = goalId;
 
         while (currentId !== startId) {
             if (!cameFrom.has(currentId)) break;
 
             const { prev, edge } = cameFrom.get(currentId);
-            const node = this.nodesCache.get(currentId);
+            steps.push({ nodeId: currentId, edge });
+            currentId = prev;
+        }
+
+        steps.push({ nodeId: startId, edge: null });
+        return steps.reverse();
+    }
+
+    /**
+     * Recover [{ nodeId, edge }] steps from a path result, looking edges up in the graph
+     */
+    routeSteps(path) {
+        return path.map((step, i) => ({
+            nodeId: step.node_id,
+            edge: i === 0
+                ? null
+                : this.graph.get(path[i - 1].node_id).find(edge => edge.edge_id === step.edge_id && edge.to === step.node_id)
+        }));
+    }
+
+    /**
+     * Build the path response from ordered steps
+     */
+    buildPathResult(steps, totalCost) {
+        let totalDistance = 0;
+        let stairEdges = 0;
+        let floorsCrossed = 0;
+
+        const path = steps.map(({ nodeId, edge }, i) => {
+            const node = this.nodesCache.get(nodeId);
+
+            if (edge) {
+                totalDistance += edge.distance;
+                if (edge.is_staircase) stairEdges++;
+                floorsCrossed += Math.abs(node.floor_level - this.nodesCache.get(steps[i - 1].nodeId).floor_level);
+            }
 
-            path.push({
+            return {
                 node_id: node.node_id,
                 node_code: node.node_code,
                 name: node.name,
                 building: node.building,
+                campus_id: node.campus_id !== undefined ? node.campus_id : null,
                 floor_level: node.floor_level,
                 type: node.type_of_node,
                 image360: node.image360 || null,
                 map_x: node.map_x !== null ? parseFloat(node.map_x) : null,
                 map_y: node.map_y !== null ? parseFloat(node.map_y) : null,
                 annotation: node.annotation !== undefined ? node.annotation : null,
-                distance_from_prev: edge.distance,
-                compass_angle: edge.compass_angle,
-                is_staircase: edge.is_staircase
-            });
-
-            currentId = prev;
-        }
-
-        // Add start node
-        const startNode = this.nodesCache.get(startId);
-        path.push({
-            node_id: startNode.node_id,
-            node_code: startNode.node_code,
-            name: startNode.name,
-            building: startNode.building,
-            floor_level: startNode.floor_level,
-            type: startNode.type_of_node,
-            image360: startNode.image360 || null,
-            map_x: startNode.map_x !== null ? parseFloat(startNode.map_x) : null,
-            map_y: startNode.map_y !== null ? parseFloat(startNode.map_y) : null,
-            annotation: startNode.annotation !== undefined ? startNode.annotation : null,
-            distance_from_prev: 0,
-            compass_angle: null,
-            is_staircase: false
+                edge_id: edge ? edge.edge_id : null,
+                distance_from_prev: edge ? edge.distance : 0,
+                compass_angle: edge ? edge.compass_angle : null,
+                is_staircase: edge ? edge.is_staircase : false
+            };
         });
 
-        path.reverse();
-
         return {
             success: true,
             path,
             total_distance: Math.round(totalDistance * 100) / 100,
+            total_cost: Math.round(totalCost * 100) / 100,
             num_nodes: path.length,
+            stair_edges: stairEdges,
+            floors_crossed: floorsCrossed,
             start: path[0],
             goal: path[path.length - 1]
         };
@@ -222,96 +688,177 @@ class PathFinder {
     /**
      * Get turn-by-turn directions with practical, user-friendly instructions
      * Uses node annotations (initial view angles) and edge compass angles
-     * to generate relative turn-based directions (e.g. "turn left", "slightly turn right")
+     * to generate relative turn-based directions (e.g. "turn left", "slightly turn right"),
+     * returned both as structured `instructions` and as `directions` text
+     * @param {string|string[]} goalCode - Destination node code, or several candidates to pick the nearest of
+     * @param {boolean|Object} options - avoidStairs flag, or { profile, avoidStairs, alternatives, lang }
+     *   where alternatives is how many alternative routes (k-shortest paths) to add
+     *   and lang is the directions language (see directionMessages)
      */
-    async getDirections(startCode, goalCode, avoidStairs = false) {
-        const result = await this.findPath(startCode, goalCode, avoidStairs);
+    async getDirections(startCode, goalCode, options = false) {
+        const result = Array.isArray(goalCode)
+            ? await this.findNearestPath(startCode, goalCode, options)
+            : await this.findPath(startCode, goalCode, options);
 
         if (result.error) return result;
 
-        const directions = [];
-        // Track the angle the user is currently facing
-        let currentFacingAngle = null;
-
-        for (let i = 0; i < result.path.length; i++) {
-            const step = result.path[i];
-
-            if (i === 0) {
-                // First node: instruct user to face towards the next node
-                if (i + 1 < result.path.length) {
-                    const nextStep = result.path[i + 1];
-                    directions.push(`Face towards ${nextStep.name} and start walking`);
-
-                    // Determine the user's initial facing angle from this node's annotation
-                    const initialAngle = (step.annotation !== null && step.annotation !== undefined)
-                        ? parseFloat(step.annotation)
-                        : null;
-                    const edgeAngle = (nextStep.compass_angle !== null && nextStep.compass_angle !== undefined)
-                        ? parseFloat(nextStep.compass_angle)
-                        : null;
-
-                    if (initialAngle !== null && edgeAngle !== null) {
-                        const turn = this.getRelativeTurn(initialAngle, edgeAngle);
-                        const stairInfo = nextStep.is_staircase ? ' via stairs' : '';
-                        const distance = nextStep.distance_from_prev ? nextStep.distance_from_prev.toFixed(1) : '0';
-
-                        if (turn.instruction === 'continue straight') {
-                            directions.push(`Walk straight ahead for ${distance}m${stairInfo} to ${nextStep.name}`);
-                        } else {
-                            directions.push(`${turn.instruction} and walk for ${distance}m${stairInfo} to ${nextStep.name}`);
-                        }
-                    } else {
-                        // Fallback when angles are unavailable
-                        const stairInfo = nextStep.is_staircase ? ' via stairs' : '';
-                        const distance = nextStep.distance_from_prev ? nextStep.distance_from_prev.toFixed(1) : '0';
-                        directions.push(`Walk forward for ${distance}m${stairInfo} to ${nextStep.name}`);
-                    }
+        const { alternatives = 0, lang = DEFAULT_LANGUAGE } = options && typeof options === 'object' ? options : {};
+        this.addDirections(result, lang);
+
+        if (alternatives > 0) {
+            result.alternatives = this.findAlternatives(result, alternatives, options)
+                .map(alternative => this.addDirections(alternative, lang));
+        }
+        return result;
+    }
+
+    /**
+     * Attach turn-by-turn instructions to a path result
+     * `instructions` are structured objects for clients that render icons;
+     * `directions` keeps the plain text of each instruction
+     */
+    addDirections(result, lang = DEFAULT_LANGUAGE) {
+        result.instructions = this.describePath(result.path, lang);
+        result.directions = result.instructions.map(instruction => instruction.text);
+        if (result.duration) result.duration.text = formatDuration(result.duration.seconds, lang);
+        return result;
+    }
 
-                    // After the first move, user is now facing the edge direction
-                    currentFacingAngle = edgeAngle;
+    /**
+     * Estimate how long walking a path takes for a routing profile
+     * Walking time at the profile's speed, plus a per-floor penalty for stairs
+     * or elevators, plus the delay_seconds of every node passed after the start
+     * @returns {Object} { seconds, text } where text is rounded to minutes
+     */
+    estimateDuration(path, profile) {
+        let seconds = 0;
+
+        for (let i = 1; i < path.length; i++) {
+            const step = path[i];
+            seconds += step.distance_from_prev / profile.speed;
+
+            const floors = Math.abs(step.floor_level - path[i - 1].floor_level);
+            if (floors > 0) {
+                seconds += floors * (step.is_staircase ? profile.stairsSecondsPerFloor : profile.elevatorSecondsPerFloor);
+            }
+
+            const node = this.nodesCache.get(step.node_id);
+            seconds += (node && node.delay_seconds) || 0;
+        }
+
+        seconds = Math.round(seconds);
+        return { seconds, text: formatDuration(seconds) };
+    }
+
+    /**
+     * Turn a reconstructed path into structured turn-by-turn instructions
+     * Each instruction is { action, text, degrees, distance, landmark, node_code,
+     * floor_from, floor_to, image360 }, where image360 is the photo of the node the
+     * instruction is given at and landmark is the node it leads to.
+     * Consecutive straight segments are merged into the walk before them, and
+     * consecutive floor changes (a flight of stairs spanning floors) into one step.
+     */
+    describePath(path, lang = DEFAULT_LANGUAGE) {
+        const instructions = [];
+        const start = path[0];
+
+        if (path.length === 1) {
+            instructions.push(this.createInstruction('already_there', start, start));
+            return instructions.map(instruction => this.withText(instruction, lang));
+        }
+
+        instructions.push(this.createInstruction('depart', start, path[1]));
+
+        // The user starts facing the start node's annotation (initial view angle)
+        let facingAngle = toAngle(start.annotation);
+
+        for (let i = 1; i < path.length; i++) {
+            const from = path[i - 1];
+            const step = path[i];
+            const edgeAngle = toAngle(step.compass_angle);
+            const previous = instructions[instructions.length - 1];
+
+            if (step.floor_level !== from.floor_level) {
+                const mode = step.is_staircase ? 'stairs'
+                    : (step.type === 'elevator' || from.type === 'elevator') ? 'elevator' : 'go';
+                const action = `${mode}_${step.floor_level > from.floor_level ? 'up' : 'down'}`;
+
+                if (previous.action === action) {
+                    this.extendInstruction(previous, step);
                 } else {
-                    // Only one node (start = destination)
-                    directions.push(`You are already at ${step.name}`);
+                    instructions.push(this.createInstruction(action, from, step));
                 }
-            } else if (i >= 2) {
-                // Subsequent nodes (from the 3rd node onward):
-                // Compare the user's current facing angle with the new edge direction
-                const edgeAngle = (step.compass_angle !== null && step.compass_angle !== undefined)
-                    ? parseFloat(step.compass_angle)
+            } else {
+                const turn = facingAngle !== null && edgeAngle !== null
+                    ? this.getRelativeTurn(facingAngle, edgeAngle)
                     : null;
+                const action = turn ? turn.action : 'forward';
+                const walking = WALKING_ACTIONS.has(previous.action) && previous.stairs === !!step.is_staircase;
 
-                if (currentFacingAngle !== null && edgeAngle !== null) {
-                    const turn = this.getRelativeTurn(currentFacingAngle, edgeAngle);
-                    const stairInfo = step.is_staircase ? ' via stairs' : '';
-                    const distance = step.distance_from_prev ? step.distance_from_prev.toFixed(1) : '0';
-
-                    if (turn.instruction === 'continue straight') {
-                        directions.push(`Continue straight for ${distance}m${stairInfo} to ${step.name}`);
-                    } else {
-                        directions.push(`${turn.instruction} and walk for ${distance}m${stairInfo} to ${step.name}`);
-                    }
-
-                    // Update facing angle to this edge's direction
-                    currentFacingAngle = edgeAngle;
+                if (action === 'straight' && walking) {
+                    this.extendInstruction(previous, step);
                 } else {
-                    // Fallback
-                    const stairInfo = step.is_staircase ? ' via stairs' : '';
-                    const distance = step.distance_from_prev ? step.distance_from_prev.toFixed(1) : '0';
-                    directions.push(`Walk forward for ${distance}m${stairInfo} to ${step.name}`);
-                    if (edgeAngle !== null) currentFacingAngle = edgeAngle;
+                    const instruction = this.createInstruction(action, from, step);
+                    instruction.degrees = turn ? turn.degrees : null;
+                    instructions.push(instruction);
                 }
             }
-            // Note: i === 1 is handled inside i === 0 block (first move generates 2 directions)
-        }
 
-        // Add arrival message
-        if (result.path.length > 1) {
-            const lastStep = result.path[result.path.length - 1];
-            directions.push(`You have arrived at ${lastStep.name}`);
+            // After each move the user faces along the edge they just walked
+            if (edgeAngle !== null) facingAngle = edgeAngle;
         }
 
-        result.directions = directions;
-        return result;
+        instructions.push(this.createInstruction('arrive', path[path.length - 1], path[path.length - 1]));
+
+        return instructions.map(instruction => this.withText(instruction, lang));
+    }
+
+    /**
+     * Instruction given at node `at` that leads to node `to`
+     */
+    createInstruction(action, at, to) {
+        const moves = at !== to && action !== 'depart';
+        return {
+            action,
+            degrees: null,
+            distance: moves ? roundDistance(to.distance_from_prev) : null,
+            landmark: to.name,
+            node_code: to.node_code,
+            floor_from: at.floor_level,
+            floor_to: moves ? to.floor_level : at.floor_level,
+            image360: at.image360 || null,
+            stairs: moves && !!to.is_staircase
+        };
+    }
+
+    /**
+     * Continue an instruction over one more edge, ending at `step`
+     */
+    extendInstruction(instruction, step) {
+        instruction.distance = roundDistance(instruction.distance + step.distance_from_prev);
+        instruction.landmark = step.name;
+        instruction.node_code = step.node_code;
+        instruction.floor_to = step.floor_level;
+    }
+
+    /**
+     * Fill in the text of an instruction from the message catalogue
+     * Turn actions share the "turn" template with the turn phrase filled in
+     */
+    withText(instruction, lang = DEFAULT_LANGUAGE) {
+        const { stairs, ...fields } = instruction;
+        const { action, distance, landmark, floor_to: floor } = fields;
+        const key = /^(slight|turn|sharp)_/.test(action) ? 'turn' : action;
+
+        const text = format(lang, key, {
+            landmark,
+            floor,
+            distance: distance !== null ? distance.toFixed(1) : '0',
+            stairs: stairs ? message(lang, 'via_stairs') : '',
+            turn: key === 'turn' ? message(lang, action) : undefined
+        });
+
+        return { ...fields, text };
     }
 
     /**
@@ -320,9 +867,10 @@ class PathFinder {
      * 
      * @param {number} fromAngle - Current facing angle (0-360)
      * @param {number} toAngle - Target direction angle (0-360)
-     * @returns {Object} { degrees: number, direction: 'left'|'right'|'straight', instruction: string }
+     * @param {string} [lang] - Language of the instruction text
+     * @returns {Object} { degrees: number, direction: 'left'|'right'|'straight', action: string, instruction: string }
      */
-    getRelativeTurn(fromAngle, toAngle) {
+    getRelativeTurn(fromAngle, toAngle, lang = DEFAULT_LANGUAGE) {
         // Calculate shortest signed angular difference
         // Positive = clockwise = turn right
         // Negative = counter-clockwise = turn left
@@ -332,41 +880,188 @@ class PathFinder {
         const roundedDiff = Math.round(absDiff);
 
         if (absDiff <= 10) {
-            return { degrees: roundedDiff, direction: 'straight', instruction: 'continue straight' };
+            return { degrees: roundedDiff, direction: 'straight', action: 'straight', instruction: message(lang, 'continue_straight') };
         }
 
         const turnDir = diff > 0 ? 'right' : 'left';
 
         if (absDiff <= 45) {
-            return { degrees: roundedDiff, direction: turnDir, instruction: `Slightly turn ${turnDir}` };
+            return { degrees: roundedDiff, direction: turnDir, action: `slight_${turnDir}`, instruction: message(lang, `slight_${turnDir}`) };
         } else if (absDiff <= 135) {
-            return { degrees: roundedDiff, direction: turnDir, instruction: `Turn ${turnDir}` };
+            return { degrees: roundedDiff, direction: turnDir, action: `turn_${turnDir}`, instruction: message(lang, `turn_${turnDir}`) };
         } else {
-            return { degrees: roundedDiff, direction: turnDir, instruction: `Turn sharply ${turnDir}` };
+            return { degrees: roundedDiff, direction: turnDir, action: `sharp_${turnDir}`, instruction: message(lang, `sharp_${turnDir}`) };
         }
     }
 
     /**
      * Convert compass angle to human-readable direction
      */
-    compassToDirection(angle) {
-        const directions = [
-            'North', 'North-Northeast', 'Northeast', 'East-Northeast',
-            'East', 'East-Southeast', 'Southeast', 'South-Southeast',
-            'South', 'South-Southwest', 'Southwest', 'West-Southwest',
-            'West', 'West-Northwest', 'Northwest', 'North-Northwest'
-        ];
+    compassToDirection(angle, lang = DEFAULT_LANGUAGE) {
+        const directions = message(lang, 'compass');
         const index = Math.floor((angle + 11.25) / 22.5) % 16;
         return directions[index];
     }
 
     /**
-     * Reset pathfinder (useful after database changes)
+     * Check the navigation network for mistakes made while building it by hand
+     * Runs over the cached graph (active edges only) and reports:
+     * - error: disconnected islands within a campus, duplicate node codes (ignoring case/spaces), zero-distance edges
+     * - warning: edges without a compass angle, stair edges between nodes on the same floor
+     * @returns {Object} { valid, checked, summary, findings: { error: [], warning: [] } }
+     *   where each finding is { check, message, node_ids?, edge_ids?, campus_id? }
+     */
+    async validateGraph() {
+        await this.ensureGraph();
+
+        const findings = { error: [], warning: [] };
+        const report = (severity, check, message, ids) => findings[severity].push({ check, message, ...ids });
+
+        // Each edge appears in both endpoints' adjacency lists; check it once
+        const edges = new Map();
+        for (const [fromId, adjacent] of this.graph) {
+            for (const edge of adjacent) {
+                if (!edges.has(edge.edge_id)) edges.set(edge.edge_id, { ...edge, from: fromId });
+            }
+        }
+
+        // Disconnected islands: each campus is its own network, so within a campus every
+        // component except the largest is unreachable from the rest
+        const components = [];
+        const visited = new Set();
+        for (const nodeId of this.graph.keys()) {
+            if (visited.has(nodeId)) continue;
+            const component = [];
+            const queue = [nodeId];
+            visited.add(nodeId);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                component.push(current);
+                for (const edge of this.graph.get(current)) {
+                    if (!visited.has(edge.to) && this.graph.has(edge.to)) {
+                        visited.add(edge.to);
+                        queue.push(edge.to);
+                    }
+                }
+            }
+            components.push(component);
+        }
+        const componentsByCampus = new Map();
+        for (const component of components) {
+            const campusId = majorityCampus(component.map(id => this.nodesCache.get(id).campus_id));
+            if (!componentsByCampus.has(campusId)) componentsByCampus.set(campusId, []);
+            componentsByCampus.get(campusId).push(component);
+        }
+        for (const [campusId, campusComponents] of componentsByCampus) {
+            campusComponents.sort((a, b) => b.length - a.length);
+            const network = campusId === null ? 'the nodes without a campus' : `campus ${campusId}`;
+            for (const island of campusComponents.slice(1)) {
+                const codes = island.slice(0, 3).map(id => this.nodesCache.get(id).node_code).join(', ');
+                report('error', 'disconnected_island',
+                    `${island.length} node(s) unreachable from the main network of ${network} (${codes}${island.length > 3 ? ', ...' : ''})`,
+                    { node_ids: island, campus_id: campusId });
+            }
+        }
+
+        // Duplicate node codes that differ only in case or surrounding spaces
+        const codes = new Map();
+        for (const node of this.nodesCache.values()) {
+            const key = String(node.node_code).trim().toLowerCase();
+            if (!codes.has(key)) codes.set(key, []);
+            codes.get(key).push(node.node_id);
+        }
+        for (const [code, nodeIds] of codes) {
+            if (nodeIds.length > 1) {
+                report('error', 'duplicate_node_code', `Node code "${code}" is used by ${nodeIds.length} nodes`, { node_ids: nodeIds });
+            }
+        }
+
+        const zeroDistance = [];
+        const missingAngle = [];
+        const flatStairs = [];
+        for (const [edgeId, edge] of edges) {
+            if (!(edge.distance > 0)) zeroDistance.push(edgeId);
+            if (edge.compass_angle === null || edge.compass_angle === undefined) missingAngle.push(edgeId);
+            if (edge.is_staircase && this.nodesCache.get(edge.from).floor_level === this.nodesCache.get(edge.to).floor_level) {
+                flatStairs.push(edgeId);
+            }
+        }
+        if (zeroDistance.length > 0) {
+            report('error', 'zero_distance_edge', `${zeroDistance.length} edge(s) have no positive distance`, { edge_ids: zeroDistance });
+        }
+        if (missingAngle.length > 0) {
+            report('warning', 'missing_compass_angle', `${missingAngle.length} edge(s) have no compass angle, so turns cannot be described`, { edge_ids: missingAngle });
+        }
+        if (flatStairs.length > 0) {
+            report('warning', 'stairs_on_same_floor', `${flatStairs.length} stair edge(s) connect nodes on the same floor`, { edge_ids: flatStairs });
+        }
+
+        return {
+            valid: findings.error.length === 0,
+            checked: { nodes: this.nodesCache.size, edges: edges.size },
+            summary: { error: findings.error.length, warning: findings.warning.length },
+            findings
+        };
+    }
+
+    /**
+     * Reset pathfinder so the next query rebuilds the graph
+     * Called automatically by the model hooks below
      */
     reset() {
         this.initialized = false;
         this.nodesCache.clear();
         this.graph.clear();
+        this.campusScales.clear();
+        this.planScales.clear();
+        this.codeIndex.clear();
+        this.closures = [];
+    }
+}
+
+/**
+ * Key of the floor plan a node (or plan) belongs to
+ */
+function floorPlanKey({ campus_id, building, floor_level }) {
+    return `${campus_id}|${building || ''}|${floor_level}`;
+}
+
+/**
+ * The campus most of a component's nodes belong to (null for nodes without one)
+ */
+function majorityCampus(campusIds) {
+    const counts = new Map();
+    for (const campusId of campusIds) {
+        const key = campusId === undefined ? null : campusId;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Parse an optional angle (annotation or compass angle) into a number or null
+ */
+function toAngle(value) {
+    return value !== null && value !== undefined ? parseFloat(value) : null;
+}
+
+function roundDistance(distance) {
+    return Math.round((distance || 0) * 10) / 10;
+}
+
+/**
+ * Generate every ordering of a list (used for small multi-stop trips)
+ */
+function* permutations(items) {
+    if (items.length <= 1) {
+        yield items.slice();
+        return;
+    }
+    for (let i = 0; i < items.length; i++) {
+        const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+        for (const perm of permutations(rest)) {
+            yield [items[i], ...perm];
+        }
     }
 }
 
@@ -443,7 +1138,20 @@ function resetPathfinder() {
     pathfinderInstance = null;
 }
 
+// Invalidate the cached graph whenever anything it is built from changes,
+// including bulk Model.update()/destroy() calls made by the controllers
+const GRAPH_HOOKS = [
+    'afterCreate', 'afterUpdate', 'afterDestroy', 'afterUpsert',
+    'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy'
+];
+for (const model of [Nodes, Edges, Campus, FloorPlan, Closure, ClosureEdge, ClosureNode]) {
+    for (const hook of GRAPH_HOOKS) {
+        model.addHook(hook, 'resetPathfinder', () => resetPathfinder());
+    }
+}
+
 module.exports = {
+    MAX_ALTERNATIVES,
     PathFinder,
     getPathfinder,
     resetPathfinder
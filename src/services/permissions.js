@@ -0,0 +1,348 @@
+/**
+ * Role-based permissions for admin accounts
+ *
+ * Roles:
+ * - super-admin        changes anything, including campuses and accounts
+ * - campus-admin       changes everything that belongs to their campus
+ * - department-editor  changes the events, staff and programs of their department
+ * - viewer             signs in to the admin pages but cannot change anything
+ *
+ * Each mutating route is guarded by can(resource), which checks that the
+ * role may change that kind of resource and that every campus/department the
+ * request touches (the stored record and any campus_id/department_id it is
+ * being moved to) is inside the account's scope. The handler then runs with
+ * the account recorded as the actor in the audit log (see audit.js).
+ */
+
+const {
+    User, Department, Office, Facility, Event, Program, Staff, HeadOfficer,
+    Photo, OfficePhoto, FacilityPhoto, Navigation, Nodes, Edges, Closure, FloorPlan,
+    Tour, TourStop, TourStopPhoto
+} = require('../../models');
+const { withActor } = require('./audit');
+
+const ROLES = ['super-admin', 'campus-admin', 'department-editor', 'viewer'];
+
+// Resources each role may change ('*' = all); scope narrows them further
+const ROLE_RESOURCES = {
+    'super-admin': '*',
+    'campus-admin': [
+        'campus-details', 'department', 'office', 'head-officer', 'staff', 'program', 'event',
+        'facility', 'navigation', 'node', 'edge', 'floor-plan', 'tour', 'closure'
+    ],
+    'department-editor': ['staff', 'program', 'event'],
+    viewer: []
+};
+
+// Which scope field limits each role (super-admin and viewer have none)
+const ROLE_SCOPE = {
+    'campus-admin': 'campus_id',
+    'department-editor': 'department_id'
+};
+
+const RESOURCE_LABELS = {
+    campus: 'campuses',
+    'campus-details': 'campus details',
+    department: 'departments',
+    office: 'offices',
+    'head-officer': 'head officers',
+    staff: 'staff',
+    program: 'programs',
+    event: 'events',
+    facility: 'facilities',
+    navigation: 'navigation steps',
+    node: 'navigation nodes',
+    edge: 'navigation edges',
+    'floor-plan': 'floor plans',
+    tour: 'guided tours',
+    closure: 'closures',
+    user: 'admin accounts',
+    trash: 'the trash',
+    audit: 'the audit log'
+};
+
+function roleAllows(role, resource) {
+    const resources = ROLE_RESOURCES[role];
+    return resources === '*' || (Array.isArray(resources) && resources.includes(resource));
+}
+
+// Ids from a JSON array, repeated form fields or a comma-separated string
+// (malformed ids are left for the handler to reject)
+function idList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean).map(Number).filter(Number.isInteger);
+}
+
+// Form fields arrive as strings; '' means "cleared"
+function provided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Fill in campus_id (and department_id where known) for a partial scope
+ * { department_id } and { office_id } are resolved through their records.
+ */
+async function resolveScope({ campus_id = null, department_id = null, office_id = null, offices_id = null }) {
+    office_id = provided(office_id) ? office_id : offices_id;
+    if (provided(department_id)) {
+        const department = await Department.findByPk(department_id, { attributes: ['id', 'campus_id'] });
+        return { campus_id: department ? department.campus_id : null, department_id: Number(department_id) };
+    }
+    if (provided(office_id)) {
+        const office = await Office.findByPk(office_id, { attributes: ['id', 'campus_id'] });
+        return { campus_id: office ? office.campus_id : null, department_id: null };
+    }
+    return { campus_id: provided(campus_id) ? Number(campus_id) : null, department_id: null };
+}
+
+// Scope of a navigation step target (type + destination id)
+async function destinationScope(type, id) {
+    switch (type) {
+        case 'department': return { department_id: id };
+        case 'office': return { office_id: id };
+        case 'facility':
+        case 'event': {
+            const record = await (type === 'facility' ? Facility : Event).findByPk(id, { attributes: ['id', 'department_id'] });
+            return { department_id: record ? record.department_id : null };
+        }
+        default: return {};
+    }
+}
+
+async function nodeScopes(nodeIds) {
+    if (nodeIds.length === 0) return [];
+    const nodes = await Nodes.findAll({ where: { node_id: nodeIds }, attributes: ['node_id', 'campus_id'] });
+    return nodes.map(node => ({ campus_id: node.campus_id }));
+}
+
+async function edgeScopes(edgeIds) {
+    if (edgeIds.length === 0) return [];
+    const edges = await Edges.findAll({ where: { edge_id: edgeIds }, attributes: ['from_node_id', 'to_node_id'] });
+    return nodeScopes(edges.flatMap(edge => [edge.from_node_id, edge.to_node_id]));
+}
+
+/**
+ * Scope resolver for records keyed by req.params.id whose scope comes from
+ * the given fields, both as stored and as sent in the request body
+ */
+function byRecord(model, fields) {
+    return async (req) => {
+        const scopes = [];
+        if (req.params.id) {
+            const record = await model.findByPk(req.params.id);
+            if (record) scopes.push(Object.fromEntries(fields.map(field => [field, record[field]])));
+        }
+        const body = req.body || {};
+        const moved = fields.filter(field => body[field] !== undefined);
+        if (moved.length > 0 || !req.params.id) {
+            scopes.push(Object.fromEntries(fields.map(field => [field, body[field]])));
+        }
+        return scopes;
+    };
+}
+
+// Scope from a parent record: find the child by req.params.id, then its parent's scope
+function byParent(model, foreignKey, parentResolver) {
+    return async (req) => {
+        const record = await model.findByPk(req.params.id);
+        if (!record) return [];
+        return parentResolver({ ...req, params: { id: record[foreignKey] }, body: {} });
+    };
+}
+
+const SCOPE_RESOLVERS = {
+    user: async () => [],
+    trash: async () => [],
+    campus: async () => [],
+    'campus-details': async (req) => [{ campus_id: req.params.id }],
+    department: async (req) => {
+        const scopes = [];
+        if (req.params.id) {
+            const department = await Department.findByPk(req.params.id);
+            if (department) scopes.push({ department_id: department.id });
+        }
+        if ((req.body || {}).campus_id !== undefined || !req.params.id) scopes.push({ campus_id: (req.body || {}).campus_id });
+        return scopes;
+    },
+    office: byRecord(Office, ['campus_id']),
+    'head-officer': byRecord(HeadOfficer, ['department_id', 'offices_id']),
+    staff: byRecord(Staff, ['department_id', 'offices_id']),
+    program: byRecord(Program, ['department_id']),
+    event: byRecord(Event, ['department_id']),
+    facility: byRecord(Facility, ['department_id']),
+    node: byRecord(Nodes, ['campus_id']),
+    'floor-plan': byRecord(FloorPlan, ['campus_id']),
+    tour: byRecord(Tour, ['campus_id']),
+    navigation: async (req) => {
+        const scopes = [];
+        if (req.params.id) {
+            const step = await Navigation.findByPk(req.params.id);
+            if (step) scopes.push(await destinationScope(step.type, step.node_id));
+        }
+        const body = req.body || {};
+        if (req.params.type) scopes.push(await destinationScope(req.params.type, req.params.node_id));
+        if (body.type || (!req.params.id && !req.params.type)) scopes.push(await destinationScope(body.type, body.node_id));
+        if (body.target_type) scopes.push(await destinationScope(body.target_type, body.target_node_id));
+        return scopes;
+    },
+    edge: async (req) => {
+        const body = req.body || {};
+        const scopes = req.params.id ? await edgeScopes([Number(req.params.id)]) : [];
+        const nodeIds = [body.from_node_id, body.to_node_id].filter(provided).map(Number).filter(Number.isInteger);
+        return scopes.concat(await nodeScopes(nodeIds));
+    },
+    closure: async (req) => {
+        const body = req.body || {};
+        let scopes = [];
+        if (req.params.id) {
+            const closure = await Closure.findByPk(req.params.id, {
+                include: [{ model: Edges, as: 'ClosedEdges' }, { model: Nodes, as: 'ClosedNodes' }]
+            });
+            if (closure) {
+                scopes = scopes
+                    .concat(await edgeScopes(closure.ClosedEdges.map(edge => edge.edge_id)))
+                    .concat(closure.ClosedNodes.map(node => ({ campus_id: node.campus_id })));
+            }
+        }
+        return scopes
+            .concat(await edgeScopes(idList(body.edge_ids)))
+            .concat(await nodeScopes(idList(body.node_ids)));
+    }
+};
+
+// Resolvers for routes whose :id is a child record of the resource
+const scopes = {
+    departmentPhoto: byParent(Photo, 'department_id', SCOPE_RESOLVERS.department),
+    officePhoto: byParent(OfficePhoto, 'offices_id', SCOPE_RESOLVERS.office),
+    facilityPhoto: byParent(FacilityPhoto, 'facility_id', SCOPE_RESOLVERS.facility),
+    tourStop: byParent(TourStop, 'tour_id', SCOPE_RESOLVERS.tour),
+    tourPhoto: byParent(TourStopPhoto, 'tour_stop_id', byParent(TourStop, 'tour_id', SCOPE_RESOLVERS.tour)),
+    campusGraph: async (req) => [{ campus_id: req.params.id }]
+};
+
+function describeScope(user) {
+    const field = ROLE_SCOPE[user.role];
+    if (!field) return user.role;
+    const value = user[field];
+    return `${user.role} for ${field === 'campus_id' ? 'campus' : 'department'} ${value === null ? '(none assigned)' : value}`;
+}
+
+function describeTarget(scope) {
+    if (scope.department_id) {
+        return `department ${scope.department_id}${scope.campus_id ? ` (campus ${scope.campus_id})` : ''}`;
+    }
+    if (scope.campus_id) return `campus ${scope.campus_id}`;
+    return 'no campus or department';
+}
+
+const USER_ATTRIBUTES = ['id', 'username', 'role', 'campus_id', 'department_id', 'session_version'];
+
+async function loadUser(req) {
+    if (req.adminUser === undefined) {
+        req.adminUser = req.session.userId
+            ? await User.findByPk(req.session.userId, { attributes: USER_ATTRIBUTES })
+            : null;
+    }
+    return req.adminUser;
+}
+
+/**
+ * Sign out a session whose account was deleted, or whose password was reset or
+ * changed elsewhere since it signed in (each bumps User.session_version)
+ * Mounted for every request after the session middleware.
+ */
+async function verifySession(req, res, next) {
+    if (!req.session || !req.session.userId) return next();
+    try {
+        const user = await loadUser(req);
+        if (!user || user.session_version !== (req.session.sessionVersion || 0)) {
+            delete req.session.userId;
+            delete req.session.username;
+            delete req.session.mustChangePassword;
+            delete req.session.sessionVersion;
+            req.adminUser = null;
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking session:', error);
+        res.status(500).json({ success: false, message: 'Failed to check session' });
+    }
+}
+
+// Accounts flagged for a password reset may only change their password until they do
+function passwordChangeRequired(res) {
+    return res.status(403).json({
+        success: false,
+        message: 'You must change your password before continuing',
+        must_change_password: true
+    });
+}
+
+function forbidden(res, resource, message) {
+    return res.status(403).json({
+        success: false,
+        message: `Missing permission to change ${RESOURCE_LABELS[resource] || resource}: ${message}`,
+        missing_permission: resource
+    });
+}
+
+/**
+ * Role check only; use before upload middleware so denied requests never upload
+ * @param {string} resource - Key of RESOURCE_LABELS
+ */
+function allow(resource) {
+    return async (req, res, next) => {
+        try {
+            const user = await loadUser(req);
+            if (!user) {
+                return res.status(401).json({ success: false, message: 'Unauthorized' });
+            }
+            if (req.session.mustChangePassword) {
+                return passwordChangeRequired(res);
+            }
+            if (!roleAllows(user.role, resource)) {
+                return forbidden(res, resource, `your role (${user.role}) does not include it`);
+            }
+            next();
+        } catch (error) {
+            console.error('Error checking permissions:', error);
+            res.status(500).json({ success: false, message: 'Failed to check permissions' });
+        }
+    };
+}
+
+/**
+ * Role and scope check; place after body parsing (after upload for multipart routes)
+ * @param {string} resource - Key of RESOURCE_LABELS
+ * @param {Function} [resolveScopes] - (req) => [{ campus_id, department_id, office_id }]
+ */
+function can(resource, resolveScopes = SCOPE_RESOLVERS[resource]) {
+    const checkRole = allow(resource);
+    return (req, res, next) => checkRole(req, res, async () => {
+        try {
+            const user = req.adminUser;
+            const field = ROLE_SCOPE[user.role];
+            if (!field) return withActor(req, next);
+
+            const targets = await Promise.all((await resolveScopes(req)).map(resolveScope));
+            const outside = targets.find(target => target[field] === null || target[field] !== user[field]);
+            if (outside) {
+                return forbidden(res, resource, `your role (${describeScope(user)}) does not cover ${describeTarget(outside)}`);
+            }
+            withActor(req, next);
+        } catch (error) {
+            console.error('Error checking permissions:', error);
+            res.status(500).json({ success: false, message: 'Failed to check permissions' });
+        }
+    });
+}
+
+module.exports = {
+    ROLES,
+    roleAllows,
+    verifySession,
+    passwordChangeRequired,
+    allow,
+    can,
+    scopes
+};
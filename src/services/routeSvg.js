@@ -0,0 +1,296 @@
+/**
+ * Server-rendered route map (SVG) for kiosks and devices without a map client
+ *
+ * The path is split into one panel per floor it crosses. Each panel shows the
+ * floor plan of that floor (embedded as a data URI so the SVG is
+ * self-contained), the path polyline, start/end markers and markers where the
+ * route leaves or enters the floor.
+ */
+
+const { FloorPlan } = require('../../models');
+
+const PANEL_WIDTH = 600;
+const TITLE_HEIGHT = 36;
+const PANEL_GAP = 16;
+const MIN_MAP_HEIGHT = 200;
+const MAX_MAP_HEIGHT = 900;
+const IMAGE_FETCH_TIMEOUT_MS = 5000;
+
+// Embedded floor plan images are kept in memory up to this many bytes of data URI
+// (ROUTE_SVG_IMAGE_CACHE_MB, default 32); images that failed to load are retried after a minute
+const IMAGE_CACHE_MAX_BYTES = (parseFloat(process.env.ROUTE_SVG_IMAGE_CACHE_MB) > 0 ? parseFloat(process.env.ROUTE_SVG_IMAGE_CACHE_MB) : 32) * 1024 * 1024;
+const FAILED_IMAGE_RETRY_MS = 60 * 1000;
+
+// Floor plan images larger than this (ROUTE_SVG_IMAGE_MAX_MB, default 8) are not embedded
+const IMAGE_MAX_BYTES = (parseFloat(process.env.ROUTE_SVG_IMAGE_MAX_MB) > 0 ? parseFloat(process.env.ROUTE_SVG_IMAGE_MAX_MB) : 8) * 1024 * 1024;
+// Only these content types go into the data URI; anything else is labelled image/png
+const IMAGE_TYPES = /^image\/(png|jpeg|gif|webp|svg\+xml)$/;
+
+const COLORS = {
+    path: '#1DA1F2',
+    start: '#16a34a',
+    end: '#dc2626',
+    floorChange: '#8b5cf6'
+};
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    }[char]));
+}
+
+// Keep coordinates short in the output
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function floorLabel({ building, floor_level }) {
+    return `${building ? `${building} - ` : ''}Floor ${floor_level}`;
+}
+
+/**
+ * Read the pixel size of a PNG, GIF or JPEG image, or null for other formats
+ */
+function imageSize(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            // SOF0-SOF15 (except DHT, JPG and DAC) carry the frame size
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a response body, giving up (null) once it passes IMAGE_MAX_BYTES
+ */
+async function readLimited(response) {
+    if (Number(response.headers.get('content-length')) > IMAGE_MAX_BYTES) return null;
+    if (!response.body) return Buffer.alloc(0);
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body) {
+        total += chunk.length;
+        if (total > IMAGE_MAX_BYTES) {
+            await response.body.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Download a floor plan image and inline it; null if it cannot be fetched, is too large or cannot be measured
+ */
+async function embedImage(url) {
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+        if (!response.ok) return null;
+
+        const buffer = await readLimited(response);
+        if (!buffer) {
+            console.error(`Floor plan image ${url} is larger than ${IMAGE_MAX_BYTES} bytes; not embedded`);
+            return null;
+        }
+        const size = imageSize(buffer);
+        if (!size) return null;
+
+        const declared = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const type = IMAGE_TYPES.test(declared) ? declared : 'image/png';
+        return { ...size, href: `data:${type};base64,${buffer.toString('base64')}` };
+    } catch (error) {
+        console.error('Failed to embed floor plan image:', error.message);
+        return null;
+    }
+}
+
+// {image_url: { image: Promise, bytes, retryAt }}, least recently used first
+const imageCache = new Map();
+let imageCacheBytes = 0;
+
+function forgetImage(url) {
+    const entry = imageCache.get(url);
+    if (!entry) return;
+    imageCacheBytes -= entry.bytes;
+    imageCache.delete(url);
+}
+
+/**
+ * Embedded floor plan image, downloaded once per image_url and shared by concurrent renders
+ */
+function cachedImage(url) {
+    const cached = imageCache.get(url);
+    if (cached && (cached.retryAt === null || cached.retryAt > Date.now())) {
+        imageCache.delete(url);
+        imageCache.set(url, cached);
+        return cached.image;
+    }
+    forgetImage(url);
+
+    const entry = { bytes: 0, retryAt: null };
+    entry.image = embedImage(url).then(image => {
+        if (imageCache.get(url) !== entry) return image; // cleared while downloading
+        if (!image) {
+            entry.retryAt = Date.now() + FAILED_IMAGE_RETRY_MS;
+            return null;
+        }
+        entry.bytes = image.href.length;
+        imageCacheBytes += entry.bytes;
+        while (imageCacheBytes > IMAGE_CACHE_MAX_BYTES && imageCache.size > 0) {
+            forgetImage(imageCache.keys().next().value);
+        }
+        return image;
+    });
+    imageCache.set(url, entry);
+    return entry.image;
+}
+
+function clearImageCache() {
+    imageCache.clear();
+    imageCacheBytes = 0;
+}
+
+// A replaced or deleted floor plan image must not be served from the cache
+for (const hook of ['afterUpdate', 'afterDestroy', 'afterBulkUpdate', 'afterBulkDestroy']) {
+    FloorPlan.addHook(hook, 'routeSvgImages', () => clearImageCache());
+}
+
+/**
+ * Split a path into consecutive runs of nodes on the same building floor
+ */
+function splitByFloor(path) {
+    const panels = [];
+    for (const step of path) {
+        const last = panels[panels.length - 1];
+        if (last && last.building === step.building && last.floor_level === step.floor_level) {
+            last.steps.push(step);
+        } else {
+            panels.push({ campus_id: step.campus_id, building: step.building, floor_level: step.floor_level, steps: [step] });
+        }
+    }
+    return panels;
+}
+
+/**
+ * Area of the map a panel shows: the whole floor plan, or the path's bounding box
+ */
+function panelViewBox(panel, image) {
+    if (image) return { x: 0, y: 0, width: image.width, height: image.height };
+
+    const placed = panel.steps.filter(step => step.map_x !== null && step.map_y !== null);
+    if (placed.length === 0) return { x: 0, y: 0, width: 100, height: 100 };
+
+    const xs = placed.map(step => step.map_x);
+    const ys = placed.map(step => step.map_y);
+    const width = Math.max(...xs) - Math.min(...xs);
+    const height = Math.max(...ys) - Math.min(...ys);
+    const padding = Math.max(width, height, 100) * 0.1;
+    return {
+        x: Math.min(...xs) - padding,
+        y: Math.min(...ys) - padding,
+        width: width + padding * 2,
+        height: height + padding * 2
+    };
+}
+
+function marker(step, color, label, radius) {
+    return `<g><circle cx="${step.map_x}" cy="${step.map_y}" r="${radius}" fill="${color}" stroke="#ffffff" stroke-width="${round(radius / 4)}"/>`
+        + `<text x="${step.map_x}" y="${round(step.map_y - radius * 1.6)}" text-anchor="middle" font-family="sans-serif" font-size="${round(radius * 1.4)}" font-weight="bold" fill="${color}" stroke="#ffffff" stroke-width="${round(radius / 6)}" paint-order="stroke">${escapeXml(label)}</text></g>`;
+}
+
+/**
+ * Render one floor panel at vertical offset `top`
+ * @returns {{ markup: string, height: number }}
+ */
+function renderPanel(panel, index, panels, top) {
+    const { image } = panel;
+    const view = panelViewBox(panel, image);
+    const mapHeight = Math.min(MAX_MAP_HEIGHT, Math.max(MIN_MAP_HEIGHT, Math.round(PANEL_WIDTH * view.height / view.width)));
+    const radius = round(Math.max(view.width, view.height) / 60);
+
+    const placed = panel.steps.filter(step => step.map_x !== null && step.map_y !== null);
+    const first = panel.steps[0];
+    const last = panel.steps[panel.steps.length - 1];
+
+    const markers = [];
+    if (index > 0 && placed.includes(first)) {
+        markers.push(marker(first, COLORS.floorChange, `From floor ${panels[index - 1].floor_level}`, radius));
+    }
+    if (index < panels.length - 1 && placed.includes(last)) {
+        markers.push(marker(last, COLORS.floorChange, `To floor ${panels[index + 1].floor_level}`, radius));
+    }
+    if (index === 0 && placed.includes(first)) markers.push(marker(first, COLORS.start, 'Start', radius));
+    if (index === panels.length - 1 && placed.includes(last)) markers.push(marker(last, COLORS.end, last.name, radius));
+
+    const polyline = placed.length > 1
+        ? `<polyline points="${placed.map(step => `${step.map_x},${step.map_y}`).join(' ')}" fill="none" stroke="${COLORS.path}" stroke-width="${round(radius / 1.5)}" stroke-linecap="round" stroke-linejoin="round"/>`
+        : '';
+    const notice = placed.length === 0
+        ? `<text x="${view.x + view.width / 2}" y="${view.y + view.height / 2}" text-anchor="middle" font-family="sans-serif" font-size="${round(view.width / 20)}" fill="#6b7280">No map positions for this floor</text>`
+        : '';
+
+    const markup = `<g transform="translate(0 ${top})">`
+        + `<rect width="${PANEL_WIDTH}" height="${TITLE_HEIGHT + mapHeight}" fill="#ffffff" stroke="#e5e7eb"/>`
+        + `<text x="12" y="${TITLE_HEIGHT - 12}" font-family="sans-serif" font-size="16" font-weight="bold" fill="#1f2937">${escapeXml(`${index + 1}. ${floorLabel(panel)}`)}</text>`
+        + `<svg y="${TITLE_HEIGHT}" width="${PANEL_WIDTH}" height="${mapHeight}" viewBox="${view.x} ${view.y} ${view.width} ${view.height}" preserveAspectRatio="xMidYMid meet">`
+        + (image ? `<image xlink:href="${image.href}" x="0" y="0" width="${image.width}" height="${image.height}"/>` : '')
+        + polyline + notice + markers.join('')
+        + '</svg></g>';
+    return { markup, height: TITLE_HEIGHT + mapHeight };
+}
+
+/**
+ * Render a computed route (PathFinder result) as a standalone SVG document
+ * @param {Object} route - Result of findPath/getDirections
+ * @returns {Promise<string>} SVG markup
+ */
+async function renderRouteSvg(route) {
+    const panels = splitByFloor(route.path);
+
+    // Look up each floor plan once, even when the route returns to a floor
+    const images = new Map();
+    for (const panel of panels) {
+        const key = `${panel.campus_id}|${panel.building || ''}|${panel.floor_level}`;
+        if (!images.has(key)) {
+            const plan = panel.campus_id ? await FloorPlan.findOne({
+                where: { campus_id: panel.campus_id, building: panel.building || null, floor_level: panel.floor_level }
+            }) : null;
+            images.set(key, plan ? await cachedImage(plan.image_url) : null);
+        }
+        panel.image = images.get(key);
+    }
+
+    let top = 0;
+    const body = panels.map((panel, index) => {
+        const { markup, height } = renderPanel(panel, index, panels, top);
+        top += height + PANEL_GAP;
+        return markup;
+    });
+    const height = Math.max(top - PANEL_GAP, 0);
+
+    const title = `Route from ${route.start.name} to ${route.goal.name} (${route.total_distance} m)`;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${PANEL_WIDTH}" height="${height}" viewBox="0 0 ${PANEL_WIDTH} ${height}">`
+        + `<title>${escapeXml(title)}</title>`
+        + body.join('')
+        + '</svg>\n';
+}
+
+module.exports = {
+    renderRouteSvg,
+    clearImageCache
+};
@@ -0,0 +1,119 @@
+/**
+ * Routing profiles for the campus pathfinder
+ *
+ * Each profile owns a cost function that maps an edge to either:
+ * - { cost }            traversal cost (never less than the edge distance,
+ *                       so the A* heuristic stays admissible)
+ * - { excluded: reason } the edge cannot be used by this profile
+ *
+ * Edge attributes considered:
+ * - is_staircase, is_ramp, slope_percent, is_narrow_door, is_restricted
+ *
+ * Each profile also has walking-time settings used for duration estimates:
+ * - speed                    walking speed in metres per second
+ * - stairsSecondsPerFloor    extra time per floor climbed or descended by stairs
+ * - elevatorSecondsPerFloor  extra time per floor travelled any other way (elevator, lift)
+ * The speed can be overridden per profile with WALKING_SPEED_<PROFILE> (e.g. WALKING_SPEED_WHEELCHAIR=0.8).
+ */
+
+// Steepest ramp a wheelchair user can be routed over (1:12 gradient)
+const MAX_WHEELCHAIR_SLOPE = 8.33;
+
+const PROFILES = {
+    default: {
+        label: 'Default',
+        description: 'Shortest walking route using public corridors',
+        speed: 1.3,
+        stairsSecondsPerFloor: 15,
+        elevatorSecondsPerFloor: 10,
+        cost(edge) {
+            if (edge.is_restricted) return { excluded: 'restricted access' };
+            return { cost: edge.distance };
+        }
+    },
+
+    wheelchair: {
+        label: 'Wheelchair',
+        description: 'Step-free route avoiding stairs, narrow doors and steep slopes',
+        speed: 0.9,
+        stairsSecondsPerFloor: 15,
+        elevatorSecondsPerFloor: 15,
+        cost(edge) {
+            if (edge.is_restricted) return { excluded: 'restricted access' };
+            if (edge.is_staircase) return { excluded: 'stairs' };
+            if (edge.is_narrow_door) return { excluded: 'narrow door' };
+
+            const slope = edge.slope_percent || 0;
+            if (slope > MAX_WHEELCHAIR_SLOPE) return { excluded: `slope of ${slope}% is too steep` };
+
+            // Ramps and gentle slopes are usable but take more effort
+            let cost = edge.distance * (1 + slope / 10);
+            if (edge.is_ramp) cost *= 1.2;
+            return { cost };
+        }
+    },
+
+    equipment: {
+        label: 'Carrying equipment',
+        description: 'Prefers ramps and wide doors, uses stairs only when there is no alternative',
+        speed: 1.0,
+        stairsSecondsPerFloor: 30,
+        elevatorSecondsPerFloor: 12,
+        cost(edge) {
+            if (edge.is_restricted) return { excluded: 'restricted access' };
+
+            let cost = edge.distance;
+            if (edge.is_staircase) cost *= 3;
+            if (edge.is_narrow_door) cost *= 2;
+            return { cost };
+        }
+    },
+
+    staff: {
+        label: 'Staff',
+        description: 'Shortest route including service corridors and restricted areas',
+        speed: 1.4,
+        stairsSecondsPerFloor: 12,
+        elevatorSecondsPerFloor: 10,
+        cost(edge) {
+            return { cost: edge.distance };
+        }
+    }
+};
+
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Look up a routing profile by name
+ * @param {string} [name] - Profile name, defaults to 'default'
+ * @returns {Object|null} Profile with its name, or null if it does not exist
+ */
+function getProfile(name = DEFAULT_PROFILE) {
+    // Own keys only: names like 'constructor' or '__proto__' are not profiles
+    if (typeof name !== 'string' || !Object.hasOwn(PROFILES, name)) return null;
+    const profile = PROFILES[name];
+
+    const speedOverride = parseFloat(process.env[`WALKING_SPEED_${name.toUpperCase()}`]);
+    return { name, ...profile, speed: speedOverride > 0 ? speedOverride : profile.speed };
+}
+
+/**
+ * List available profiles (for API discovery and validation messages)
+ */
+function listProfiles() {
+    return Object.keys(PROFILES).map(name => {
+        const profile = getProfile(name);
+        return {
+            name,
+            label: profile.label,
+            description: profile.description,
+            speed: profile.speed
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    getProfile,
+    listProfiles
+};
@@ -0,0 +1,234 @@
+/**
+ * Guided tours: named, ordered stops that each carry their own photos and text
+ *
+ * A tour's stops are saved as one list, so an admin can add, edit, remove and
+ * reorder stops in a single request. A stop can be seeded from the
+ * hand-authored Navigation steps of a destination, which are copied in as the
+ * stop's photos (image + directional text as caption).
+ */
+
+const { sequelize, Campus, Navigation, Tour, TourStop, TourStopPhoto } = require('../../models');
+
+const TOUR_STATUSES = ['draft', 'published'];
+const DESTINATION_TYPES = ['department', 'office', 'facility', 'event'];
+
+const tourInclude = [
+    { model: Campus, attributes: ['id', 'name'] },
+    { model: TourStop, as: 'Stops', include: [{ model: TourStopPhoto, as: 'Photos' }] }
+];
+
+const tourOrder = [
+    [{ model: TourStop, as: 'Stops' }, 'stop_order', 'ASC'],
+    [{ model: TourStop, as: 'Stops' }, { model: TourStopPhoto, as: 'Photos' }, 'photo_order', 'ASC']
+];
+
+// Drop keys the request left out so updates keep the stored values
+function defined(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Load a tour with its stops and photos in order
+ * @param {number} id - Tour id
+ * @param {Object} options - { publishedOnly } hides drafts (public access)
+ * @returns {Object|null} Tour, or null if missing or hidden
+ */
+async function findTour(id, { publishedOnly = false } = {}) {
+    const where = { id };
+    if (publishedOnly) where.status = 'published';
+    return Tour.findOne({ where, include: tourInclude, order: tourOrder });
+}
+
+function validateTourFields({ name, status }, isNew) {
+    if (isNew || name !== undefined) {
+        if (!name || !String(name).trim()) return 'A tour name is required';
+    }
+    if (status !== undefined && !TOUR_STATUSES.includes(status)) {
+        return `status must be one of: ${TOUR_STATUSES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check a submitted stop list against the tour's current stops
+ * @returns {string|null} Error message, or null when the list can be saved
+ */
+function validateStops(stops, existingStops) {
+    if (!Array.isArray(stops)) return 'stops must be an array';
+
+    const existingById = new Map(existingStops.map(stop => [stop.id, stop]));
+    const seen = new Set();
+
+    for (const [index, stop] of stops.entries()) {
+        const label = `Stop ${index + 1}`;
+        if (!stop || typeof stop !== 'object') return `${label} must be an object`;
+        if (!stop.title || !String(stop.title).trim()) return `${label} needs a title`;
+
+        if (stop.id !== undefined && stop.id !== null) {
+            if (!existingById.has(Number(stop.id))) return `${label} refers to a stop that is not part of this tour`;
+            if (seen.has(Number(stop.id))) return `${label} lists stop ${stop.id} twice`;
+            seen.add(Number(stop.id));
+        }
+        if (stop.type && !DESTINATION_TYPES.includes(stop.type)) {
+            return `${label} type must be one of: ${DESTINATION_TYPES.join(', ')}`;
+        }
+
+        if (stop.photos !== undefined) {
+            if (!Array.isArray(stop.photos)) return `${label} photos must be an array`;
+            const existing = existingById.get(Number(stop.id));
+            const photoIds = new Set(existing ? existing.Photos.map(photo => photo.id) : []);
+            for (const photo of stop.photos) {
+                if (photo && photo.id !== undefined && photo.id !== null) {
+                    if (!photoIds.has(Number(photo.id))) return `${label} refers to a photo that is not part of this stop`;
+                } else if (!photo || !photo.image_url) {
+                    return `${label} photos need an id (existing photo) or an image_url`;
+                }
+            }
+        }
+
+        if (stop.navigation !== undefined) {
+            const { type, node_id } = stop.navigation || {};
+            if (!DESTINATION_TYPES.includes(type) || !node_id) {
+                return `${label} navigation needs a destination type and node_id`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Save one stop's photos in the submitted order; photos left out are removed
+ */
+async function savePhotos(stopId, photos, existingPhotos, transaction) {
+    const keep = new Set(photos.filter(photo => photo.id).map(photo => Number(photo.id)));
+    const removed = existingPhotos.filter(photo => !keep.has(photo.id)).map(photo => photo.id);
+    if (removed.length > 0) {
+        await TourStopPhoto.destroy({ where: { id: removed }, transaction });
+    }
+
+    for (const [index, photo] of photos.entries()) {
+        const data = defined({ caption: photo.caption, photo_order: index + 1 });
+        if (photo.id) {
+            await TourStopPhoto.update(data, { where: { id: photo.id }, transaction });
+        } else {
+            await TourStopPhoto.create({ ...data, tour_stop_id: stopId, image_url: photo.image_url }, { transaction });
+        }
+    }
+}
+
+/**
+ * Append a destination's Navigation steps (those with an image) to a stop's photos
+ */
+async function copyNavigationSteps(stop, { type, node_id }, transaction) {
+    const steps = await Navigation.findAll({ where: { type, node_id }, order: [['step_order', 'ASC']], transaction });
+    const last = await TourStopPhoto.max('photo_order', { where: { tour_stop_id: stop.id }, transaction });
+
+    let order = last || 0;
+    for (const step of steps.filter(step => step.image_url)) {
+        order += 1;
+        await TourStopPhoto.create({
+            tour_stop_id: stop.id,
+            image_url: step.image_url,
+            caption: step.directional_text,
+            photo_order: order
+        }, { transaction });
+    }
+
+    if (!stop.type) await stop.update({ type, destination_id: node_id }, { transaction });
+}
+
+/**
+ * Replace a tour's stop list; array order becomes stop_order
+ * Stops with an id are updated, stops without one are created, and current
+ * stops missing from the list are deleted along with their photos.
+ */
+async function saveStops(tour, stops, existingStops, transaction) {
+    const existingById = new Map(existingStops.map(stop => [stop.id, stop]));
+    const keep = new Set(stops.filter(stop => stop.id).map(stop => Number(stop.id)));
+
+    const removed = existingStops.filter(stop => !keep.has(stop.id)).map(stop => stop.id);
+    if (removed.length > 0) {
+        await TourStopPhoto.destroy({ where: { tour_stop_id: removed }, transaction });
+        await TourStop.destroy({ where: { id: removed }, transaction });
+    }
+
+    for (const [index, stopData] of stops.entries()) {
+        const data = defined({
+            title: String(stopData.title).trim(),
+            description: stopData.description,
+            type: stopData.type === '' ? null : stopData.type,
+            destination_id: stopData.destination_id === '' ? null : stopData.destination_id,
+            stop_order: index + 1
+        });
+
+        const existing = stopData.id ? existingById.get(Number(stopData.id)) : null;
+        const stop = existing
+            ? await existing.update(data, { transaction })
+            : await TourStop.create({ ...data, tour_id: tour.id }, { transaction });
+
+        if (stopData.photos !== undefined) {
+            await savePhotos(stop.id, stopData.photos, existing ? existing.Photos : [], transaction);
+        }
+        if (stopData.navigation) {
+            await copyNavigationSteps(stop, stopData.navigation, transaction);
+        }
+    }
+}
+
+/**
+ * Create or update a tour, optionally replacing its stops, in one transaction
+ * @param {number|null} id - Tour id, or null to create a new tour
+ * @param {Object} body - { name, description, campus_id, status, stops }
+ * @returns {Object} { data } with the saved tour, or { error, notFound }
+ */
+async function saveTour(id, body) {
+    const isNew = id === null;
+    const invalid = validateTourFields(body, isNew);
+    if (invalid) return { error: invalid };
+
+    const tour = isNew ? null : await Tour.findByPk(id);
+    if (!isNew && !tour) return { error: 'Tour not found', notFound: true };
+
+    if (body.campus_id && !(await Campus.findByPk(body.campus_id))) {
+        return { error: 'Campus not found' };
+    }
+
+    const existingStops = tour
+        ? await TourStop.findAll({ where: { tour_id: tour.id }, include: [{ model: TourStopPhoto, as: 'Photos' }] })
+        : [];
+    if (body.stops !== undefined) {
+        const invalidStops = validateStops(body.stops, existingStops);
+        if (invalidStops) return { error: invalidStops };
+    }
+
+    const { name, description, campus_id, status } = body;
+    const fields = defined({
+        name: name === undefined ? undefined : String(name).trim(),
+        description,
+        campus_id: campus_id === '' ? null : campus_id,
+        status
+    });
+
+    const transaction = await sequelize.transaction();
+    let saved;
+    try {
+        saved = tour
+            ? await tour.update(fields, { transaction })
+            : await Tour.create(fields, { transaction });
+        if (body.stops !== undefined) {
+            await saveStops(saved, body.stops, existingStops, transaction);
+        }
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    return { data: await findTour(saved.id) };
+}
+
+module.exports = {
+    TOUR_STATUSES,
+    findTour,
+    saveTour
+};
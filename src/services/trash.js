@@ -0,0 +1,407 @@
+/**
+ * Trash for soft-deleted campus content
+ *
+ * Deleting a record moves it and the children the database would otherwise
+ * cascade-delete (a department's facilities, photos, programs, head
+ * officers, staff and navigation steps, ...) to the trash by giving them all
+ * the same deleted_at. A campus takes its departments, offices, floor plans,
+ * tours and navigation graph with it; a node its edges. A closure goes with
+ * the last node or edge it covers; while it still covers others, only its
+ * links to the trashed ones are removed (and are not restored with them).
+ * Restoring brings back the children that share that timestamp,
+ * so rows deleted separately earlier stay in the trash, and leaves children
+ * that also belong to another trashed record (an edge to a node deleted on
+ * its own) until that record is restored. Children that SET NULL in the
+ * database (a department's events) keep their link and reappear with the
+ * parent.
+ *
+ * Rows older than TRASH_RETENTION_DAYS (default 30) are purged for good
+ * every TRASH_PURGE_INTERVAL_HOURS (default 24) by startTrashPurge().
+ */
+
+const { Op } = require('sequelize');
+const {
+    sequelize, Campus, CampusPhoto, Department, Photo, Facility, FacilityPhoto, Event, EventPhoto,
+    Program, HeadOfficer, Staff, Office, OfficePhoto, Navigation, DestinationNode,
+    Nodes, Edges, Closure, ClosureEdge, ClosureNode, FloorPlan, Tour
+} = require('../../models');
+const { resetPathfinder } = require('./pathfinding');
+
+const RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) > 0 ? parseFloat(process.env.TRASH_RETENTION_DAYS) : 30;
+const PURGE_INTERVAL_HOURS = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) > 0 ? parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) : 24;
+
+// Navigation steps of a destination are its children through (type, node_id)
+const steps = (type) => ({ type: 'navigation', foreignKey: 'node_id', scope: { type } });
+
+/**
+ * Trashable record types
+ * children: rows deleted and restored with the record, matched on foreignKey (+ scope),
+ *   or linked through a join table (through: join model, foreignKey: parent column, otherKey: child column)
+ * label: field shown in the trash listing
+ */
+const TRASH_TYPES = {
+    campus: {
+        model: Campus,
+        label: 'name',
+        children: [
+            { type: 'campus-photo', foreignKey: 'campus_id' },
+            { type: 'department', foreignKey: 'campus_id' },
+            { type: 'office', foreignKey: 'campus_id' },
+            { type: 'node', foreignKey: 'campus_id' },
+            { type: 'floor-plan', foreignKey: 'campus_id' },
+            { type: 'tour', foreignKey: 'campus_id' }
+        ]
+    },
+    'campus-photo': { model: CampusPhoto, label: 'image_url' },
+    department: {
+        model: Department,
+        label: 'name',
+        children: [
+            { type: 'department-photo', foreignKey: 'department_id' },
+            { type: 'facility', foreignKey: 'department_id' },
+            { type: 'program', foreignKey: 'department_id' },
+            { type: 'head-officer', foreignKey: 'department_id' },
+            { type: 'staff', foreignKey: 'department_id' },
+            steps('department')
+        ]
+    },
+    'department-photo': { model: Photo, label: 'image_url' },
+    facility: {
+        model: Facility,
+        label: 'name',
+        children: [{ type: 'facility-photo', foreignKey: 'facility_id' }, steps('facility')]
+    },
+    'facility-photo': { model: FacilityPhoto, label: 'image_url' },
+    event: {
+        model: Event,
+        label: 'name',
+        children: [{ type: 'event-photo', foreignKey: 'event_id' }, steps('event')]
+    },
+    'event-photo': { model: EventPhoto, label: 'image_url' },
+    office: {
+        model: Office,
+        label: 'name',
+        children: [
+            { type: 'office-photo', foreignKey: 'offices_id' },
+            { type: 'head-officer', foreignKey: 'offices_id' },
+            { type: 'staff', foreignKey: 'offices_id' },
+            steps('office')
+        ]
+    },
+    'office-photo': { model: OfficePhoto, label: 'image_url' },
+    program: { model: Program, label: 'description_name' },
+    'head-officer': { model: HeadOfficer, label: 'fullname' },
+    staff: { model: Staff, label: 'fullname' },
+    navigation: { model: Navigation, label: 'directional_text' },
+    node: {
+        model: Nodes,
+        label: 'name',
+        children: [
+            { type: 'edge', foreignKey: 'from_node_id' },
+            { type: 'edge', foreignKey: 'to_node_id' },
+            { type: 'closure', through: ClosureNode, foreignKey: 'node_id', otherKey: 'closure_id' }
+        ]
+    },
+    edge: {
+        model: Edges,
+        children: [{ type: 'closure', through: ClosureEdge, foreignKey: 'edge_id', otherKey: 'closure_id' }]
+    },
+    closure: { model: Closure, label: 'reason' },
+    'floor-plan': { model: FloorPlan, label: 'image_url' },
+    tour: { model: Tour, label: 'name' }
+};
+
+// Destinations whose entrance-node links (no foreign key) are removed when purged
+const DESTINATION_TYPES = ['department', 'office', 'facility', 'event'];
+
+// Types the pathfinder's cached graph is built from
+const GRAPH_TYPES = ['campus', 'node', 'edge', 'closure', 'floor-plan'];
+
+// Parent relations of each type, derived from the children lists
+const PARENTS = {};
+for (const [parentType, { children = [] }] of Object.entries(TRASH_TYPES)) {
+    for (const child of children) {
+        (PARENTS[child.type] = PARENTS[child.type] || []).push({ parentType, ...child });
+    }
+}
+
+const primaryKey = (type) => TRASH_TYPES[type].model.primaryKeyAttribute;
+
+// Rows of a child relation belonging to any of the parent ids
+async function childRows(child, ids, { where = {}, paranoid = true, transaction } = {}) {
+    const { model } = TRASH_TYPES[child.type];
+    if (!child.through) {
+        return model.findAll({ where: { ...where, ...(child.scope || {}), [child.foreignKey]: ids }, paranoid, transaction });
+    }
+    const links = await child.through.findAll({ where: { [child.foreignKey]: ids }, attributes: [child.otherKey], transaction });
+    if (links.length === 0) return [];
+    return model.findAll({
+        where: { ...where, [model.primaryKeyAttribute]: links.map(link => link[child.otherKey]) },
+        paranoid,
+        transaction
+    });
+}
+
+// The parent id a row points at through a relation, or null if the relation does not apply
+function parentId(row, relation) {
+    const inScope = Object.entries(relation.scope || {}).every(([field, value]) => row[field] === value);
+    return inScope && row[relation.foreignKey] ? row[relation.foreignKey] : null;
+}
+
+// Parent ids of each row through a relation, keyed by the row's id
+async function parentIds(type, rows, relation, transaction) {
+    const key = primaryKey(type);
+    const owners = new Map();
+    if (rows.length === 0) return owners;
+    if (!relation.through) {
+        for (const row of rows) {
+            const ownerId = parentId(row, relation);
+            if (ownerId) owners.set(row[key], [ownerId]);
+        }
+        return owners;
+    }
+    const links = await relation.through.findAll({ where: { [relation.otherKey]: rows.map(row => row[key]) }, transaction });
+    for (const link of links) {
+        owners.set(link[relation.otherKey], [...(owners.get(link[relation.otherKey]) || []), link[relation.foreignKey]]);
+    }
+    return owners;
+}
+
+/**
+ * Rows that belong to a record in the trash (trashed: true) or outside it (trashed: false)
+ * @returns {Map} row id -> { type, id } of one such owner
+ */
+async function findOwners(type, rows, { trashed }, transaction) {
+    const found = new Map();
+    for (const relation of PARENTS[type] || []) {
+        const owners = await parentIds(type, rows, relation, transaction);
+        const ids = [...new Set([...owners.values()].flat())];
+        if (ids.length === 0) continue;
+
+        const { model } = TRASH_TYPES[relation.parentType];
+        const key = model.primaryKeyAttribute;
+        const matching = await model.findAll({
+            where: { [key]: ids, ...(trashed ? { deleted_at: { [Op.ne]: null } } : {}) },
+            attributes: [key],
+            paranoid: !trashed,
+            transaction
+        });
+        const matchingIds = new Set(matching.map(owner => owner[key]));
+        for (const [rowId, ownerIds] of owners) {
+            const ownerId = ownerIds.find(candidate => matchingIds.has(candidate));
+            if (ownerId && !found.has(rowId)) found.set(rowId, { type: relation.parentType, id: ownerId });
+        }
+    }
+    return found;
+}
+
+const trashedOwners = (type, rows, transaction) => findOwners(type, rows, { trashed: true }, transaction);
+
+async function trashTree(type, ids, deletedAt, transaction) {
+    const { model, children = [] } = TRASH_TYPES[type];
+    // Parents go first so linked children can tell which of their owners are left
+    await model.update({ deleted_at: deletedAt }, { where: { [model.primaryKeyAttribute]: ids }, transaction });
+    for (const child of children) {
+        const key = primaryKey(child.type);
+        let rows = await childRows(child, ids, { transaction });
+        if (child.through && rows.length > 0) {
+            // A closure that still covers nodes or edges outside the trash only loses its links to these
+            const kept = await findOwners(child.type, rows, { trashed: false }, transaction);
+            if (kept.size > 0) {
+                await child.through.destroy({ where: { [child.foreignKey]: ids, [child.otherKey]: [...kept.keys()] }, transaction });
+                rows = rows.filter(row => !kept.has(row[key]));
+            }
+        }
+        if (rows.length > 0) await trashTree(child.type, rows.map(row => row[key]), deletedAt, transaction);
+    }
+}
+
+async function restoreTree(type, ids, deletedAt, transaction) {
+    const { model, children = [] } = TRASH_TYPES[type];
+    await model.update({ deleted_at: null }, {
+        where: { [model.primaryKeyAttribute]: ids, deleted_at: deletedAt },
+        paranoid: false,
+        transaction
+    });
+    for (const child of children) {
+        const rows = await childRows(child, ids, { where: { deleted_at: deletedAt }, paranoid: false, transaction });
+        // Children of several parents (an edge's two nodes, a closure's nodes and edges) wait until
+        // none of them is trashed; restoring the last one brings them back
+        const blocked = await trashedOwners(child.type, rows, transaction);
+        const key = primaryKey(child.type);
+        const restorable = rows.filter(row => !blocked.has(row[key])).map(row => row[key]);
+        if (restorable.length > 0) await restoreTree(child.type, restorable, deletedAt, transaction);
+    }
+}
+
+/**
+ * Move a record and its cascaded children to the trash
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {number} id - Record id
+ * @returns {boolean} false if the record does not exist (or is already in the trash)
+ */
+async function moveToTrash(type, id) {
+    const record = await TRASH_TYPES[type].model.findByPk(id);
+    if (!record) return false;
+
+    // MySQL DATETIME keeps whole seconds; children are matched on the stored value
+    const deletedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const transaction = await sequelize.transaction();
+    try {
+        await trashTree(type, [record[primaryKey(type)]], deletedAt, transaction);
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+    // The model hooks already fired inside the transaction; drop anything rebuilt from the old rows since
+    if (GRAPH_TYPES.includes(type)) resetPathfinder();
+    return true;
+}
+
+/**
+ * Restore a trashed record and the children deleted with it
+ * @returns {Object} { data: { type, id, restored } } or { error, notFound }
+ */
+async function restoreFromTrash(type, id) {
+    const trashType = TRASH_TYPES[type];
+    if (!trashType) return { error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` };
+
+    const record = await trashType.model.findByPk(id, { paranoid: false });
+    if (!record || !record.deleted_at) return { error: 'Item not found in the trash', notFound: true };
+
+    const recordId = record[primaryKey(type)];
+    const owner = (await trashedOwners(type, [record])).get(recordId);
+    if (owner) {
+        return { error: `Restore ${owner.type} ${owner.id} first; this item belongs to it` };
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        await restoreTree(type, [recordId], record.deleted_at, transaction);
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+    if (GRAPH_TYPES.includes(type)) resetPathfinder();
+    return { data: { type, id: recordId, restored: true } };
+}
+
+/**
+ * A trashed record matching where, e.g. one still holding a unique node_code
+ * @returns {Object|null} { type, id }
+ */
+async function findInTrash(type, where, { transaction } = {}) {
+    const { model } = TRASH_TYPES[type];
+    const row = await model.findOne({ where: { ...where, deleted_at: { [Op.ne]: null } }, paranoid: false, transaction });
+    return row ? { type, id: row[model.primaryKeyAttribute] } : null;
+}
+
+function purgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Items in the trash, newest first
+ * Children deleted together with their parent are folded into the parent's
+ * entry (children count) instead of being listed on their own.
+ * @param {Object} filters - { type }
+ */
+async function listTrash({ type } = {}) {
+    const rowsById = {};
+    for (const [key, { model }] of Object.entries(TRASH_TYPES)) {
+        const rows = await model.findAll({ where: { deleted_at: { [Op.ne]: null } }, paranoid: false });
+        rowsById[key] = new Map(rows.map(row => [row[model.primaryKeyAttribute], row]));
+    }
+
+    const owners = new Map();
+    for (const [key, relations] of Object.entries(PARENTS)) {
+        for (const relation of relations) {
+            owners.set(relation, await parentIds(key, [...rowsById[key].values()], relation));
+        }
+    }
+
+    // The trashed parent a row was deleted together with, if any
+    const deletedWith = (key, row) => {
+        const time = new Date(row.deleted_at).getTime();
+        for (const relation of PARENTS[key] || []) {
+            for (const ownerId of owners.get(relation).get(row[primaryKey(key)]) || []) {
+                const owner = rowsById[relation.parentType].get(ownerId);
+                if (owner && new Date(owner.deleted_at).getTime() === time) return { key: relation.parentType, row: owner };
+            }
+        }
+        return null;
+    };
+
+    const items = new Map();
+    const childCounts = new Map();
+    for (const [key, rows] of Object.entries(rowsById)) {
+        for (const row of rows.values()) {
+            let top = { key, row };
+            for (let owner = deletedWith(key, row); owner; owner = deletedWith(owner.key, owner.row)) top = owner;
+
+            const topKey = `${top.key}:${top.row[primaryKey(top.key)]}`;
+            if (top.row !== row) {
+                childCounts.set(topKey, (childCounts.get(topKey) || 0) + 1);
+                continue;
+            }
+            const id = row[primaryKey(key)];
+            items.set(topKey, {
+                type: key,
+                id,
+                label: row[TRASH_TYPES[key].label] || `${key} #${id}`,
+                deleted_at: row.deleted_at,
+                purge_at: purgeDate(row.deleted_at)
+            });
+        }
+    }
+
+    return [...items]
+        .map(([key, item]) => ({ ...item, children: childCounts.get(key) || 0 }))
+        .filter(item => !type || item.type === type)
+        .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+/**
+ * Permanently delete everything trashed more than RETENTION_DAYS ago
+ * The database's cascades remove anything still attached to the purged rows.
+ * @returns {number} Rows purged
+ */
+async function purgeTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    let purged = 0;
+    for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+        const where = { deleted_at: { [Op.lt]: cutoff } };
+        if (DESTINATION_TYPES.includes(type)) {
+            const ids = (await model.findAll({ where, attributes: ['id'], paranoid: false })).map(row => row.id);
+            if (ids.length > 0) await DestinationNode.destroy({ where: { type, destination_id: ids } });
+        }
+        purged += await model.destroy({ where, force: true });
+    }
+    return purged;
+}
+
+function startTrashPurge() {
+    const run = () => purgeTrash()
+        .then(purged => {
+            if (purged > 0) console.log(`Purged ${purged} item(s) trashed more than ${RETENTION_DAYS} day(s) ago`);
+        })
+        .catch(error => console.error('Error purging trash:', error));
+
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    TRASH_TYPES,
+    RETENTION_DAYS,
+    moveToTrash,
+    restoreFromTrash,
+    findInTrash,
+    listTrash,
+    purgeTrash,
+    startTrashPurge
+};
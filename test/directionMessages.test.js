@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SUPPORTED_LANGUAGES, resolveLanguage, message, format, formatDuration } = require('../src/services/directionMessages');
+const { PathFinder } = require('../src/services/pathfinding');
+const { node, edge, serveGraph } = require('./helpers/graph');
+
+// Main Gate -> east to Lobby -> right (south) to Hallway -> stairs up to the Library on floor 1
+const nodes = [
+    node(1, 'GATE', { name: 'Main Gate' }),
+    node(2, 'LOBBY', { name: 'Lobby' }),
+    node(3, 'HALL', { name: 'Hallway' }),
+    node(4, 'LIB', { name: 'Library', floor_level: 1 })
+];
+const edges = [
+    edge(1, 2, 10, 90),
+    edge(2, 3, 10, 180),
+    edge(3, 4, 5, 180, { is_staircase: true })
+];
+
+const EXPECTED = {
+    en: [
+        'Face towards Lobby and start walking',
+        'Walk forward for 10.0m to Lobby',
+        'Turn right and walk for 10.0m to Hallway',
+        'Take the stairs and go up to floor 1',
+        'You have arrived at Library'
+    ],
+    fil: [
+        'Humarap sa Lobby at magsimulang maglakad',
+        'Maglakad pasulong nang 10.0m papunta sa Lobby',
+        'Lumiko pakanan at maglakad nang 10.0m papunta sa Hallway',
+        'Gamitin ang hagdan at umakyat sa palapag 1',
+        'Nakarating ka na sa Library'
+    ],
+    ceb: [
+        'Atubanga ang Lobby ug sugdi ang paglakaw',
+        'Lakaw og diretso og 10.0m paingon sa Lobby',
+        'Liko sa tuo ug lakaw og 10.0m paingon sa Hallway',
+        'Gamita ang hagdanan ug saka sa andana 1',
+        'Niabot na ka sa Library'
+    ]
+};
+
+async function directions(lang, t) {
+    const db = serveGraph({ nodes, edges });
+    t.after(db.restore);
+    return new PathFinder().getDirections('GATE', 'LIB', { lang });
+}
+
+test('every supported language has expected directions for the same path', () => {
+    assert.deepStrictEqual(Object.keys(EXPECTED).sort(), [...SUPPORTED_LANGUAGES].sort());
+});
+
+for (const [lang, expected] of Object.entries(EXPECTED)) {
+    test(`directions in ${lang}`, async (t) => {
+        const result = await directions(lang, t);
+        assert.deepStrictEqual(result.directions, expected);
+        assert.deepStrictEqual(result.instructions.map(instruction => instruction.action),
+            ['depart', 'forward', 'turn_right', 'stairs_up', 'arrive']);
+        assert.strictEqual(result.duration.text, message(lang, 'duration_under_minute'));
+    });
+}
+
+test('"tl" is an alias of Filipino', async (t) => {
+    assert.strictEqual(resolveLanguage('tl'), 'fil');
+    assert.strictEqual(resolveLanguage(undefined, 'tl-PH,en;q=0.5'), 'fil');
+
+    const result = await directions(resolveLanguage('tl'), t);
+    assert.deepStrictEqual(result.directions, EXPECTED.fil);
+});
+
+test('language selection from ?lang= and Accept-Language', () => {
+    assert.strictEqual(resolveLanguage('ceb'), 'ceb');
+    assert.strictEqual(resolveLanguage('FIL'), 'fil');
+    assert.strictEqual(resolveLanguage('en-US'), 'en');
+    assert.strictEqual(resolveLanguage(undefined, 'de-DE,ceb;q=0.8,fil;q=0.9'), 'fil');
+    assert.strictEqual(resolveLanguage('ceb', 'fil'), 'ceb', 'an explicit lang wins over the header');
+    assert.strictEqual(resolveLanguage('xx', 'ceb'), 'ceb', 'an unsupported lang falls through to the header');
+    assert.strictEqual(resolveLanguage(undefined, 'fil;q=0'), 'en', 'q=0 means "not acceptable"');
+    for (const key of ['constructor', '__proto__', 'toString']) {
+        assert.strictEqual(resolveLanguage(key), 'en', `${key} is not a language`);
+        assert.strictEqual(resolveLanguage(undefined, `${key},ceb;q=0.5`), 'ceb');
+    }
+});
+
+test('unknown languages fall back to English', async (t) => {
+    assert.strictEqual(resolveLanguage('de'), 'en');
+    assert.strictEqual(resolveLanguage(undefined, 'de-DE,fr;q=0.8'), 'en');
+    assert.strictEqual(resolveLanguage(), 'en');
+    assert.strictEqual(message('de', 'turn_left'), 'Turn left');
+    assert.strictEqual(format('de', 'go_up', { floor: 2 }), 'Go up to floor 2');
+
+    const result = await directions('de', t);
+    assert.deepStrictEqual(result.directions, EXPECTED.en);
+});
+
+test('compass names are localised', () => {
+    const pathfinder = new PathFinder();
+    assert.strictEqual(pathfinder.compassToDirection(90), 'East');
+    assert.strictEqual(pathfinder.compassToDirection(90, 'fil'), 'Silangan');
+    assert.strictEqual(pathfinder.compassToDirection(225, 'ceb'), 'Habagatang-kasadpan');
+    assert.strictEqual(pathfinder.compassToDirection(355, 'en'), 'North');
+});
+
+test('formatDuration', () => {
+    assert.strictEqual(formatDuration(0), 'less than a minute');
+    assert.strictEqual(formatDuration(59), 'less than a minute');
+    assert.strictEqual(formatDuration(60), '1 min');
+    assert.strictEqual(formatDuration(89), '1 min');
+    assert.strictEqual(formatDuration(90), '2 min');
+    assert.strictEqual(formatDuration(3569), '59 min');
+    assert.strictEqual(formatDuration(3599), '1 h 0 min', 'rounds up into the next hour');
+    assert.strictEqual(formatDuration(3600), '1 h 0 min');
+    assert.strictEqual(formatDuration(3900), '1 h 5 min');
+
+    assert.strictEqual(formatDuration(30, 'fil'), 'wala pang isang minuto');
+    assert.strictEqual(formatDuration(240, 'fil'), '4 minuto');
+    assert.strictEqual(formatDuration(3900, 'fil'), '1 oras 5 minuto');
+    assert.strictEqual(formatDuration(30, 'ceb'), 'ubos sa usa ka minuto');
+    assert.strictEqual(formatDuration(240, 'ceb'), '4 ka minuto');
+    assert.strictEqual(formatDuration(3900, 'ceb'), '1 ka oras 5 ka minuto');
+    assert.strictEqual(formatDuration(240, 'de'), '4 min');
+});
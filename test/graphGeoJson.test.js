@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+
+const { sequelize, Campus, Nodes, Edges } = require('../models');
+const { importCampusGraph } = require('../src/services/graphGeoJson');
+
+// In-memory nodes and edges behind the model calls importCampusGraph makes
+function serveCampus(t, { nodes = [], edges = [] } = {}) {
+    const originals = [
+        [sequelize, 'transaction'], [Campus, 'findByPk'],
+        [Nodes, 'findOne'], [Nodes, 'create'], [Edges, 'findOne'], [Edges, 'create']
+    ].map(([target, method]) => [target, method, target[method]]);
+    t.after(() => originals.forEach(([target, method, original]) => { target[method] = original; }));
+
+    const record = (rows, row) => Object.assign(row, { update: async (data) => Object.assign(row, data) });
+    nodes.forEach(row => record(nodes, row));
+    edges.forEach(row => record(edges, row));
+    const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+    sequelize.transaction = async () => ({ commit: async () => {}, rollback: async () => {} });
+    Campus.findByPk = async (id) => (Number(id) === 1 ? { id: 1, name: 'Main' } : null);
+    Nodes.findOne = async ({ where, paranoid }) => nodes.find(row => (paranoid === false || !row.deleted_at) && matches(row, where)) || null;
+    Nodes.create = async (data) => {
+        if (!Number.isFinite(data.map_x ?? 0) || !Number.isFinite(data.map_y ?? 0)) throw new Error('invalid DECIMAL');
+        return record(nodes, nodes[nodes.push({ node_id: nodes.length + 1, ...data }) - 1]);
+    };
+    Edges.findOne = async ({ where }) => edges.find(row => where[Op.or].some(option => matches(row, option))) || null;
+    Edges.create = async (data) => record(edges, edges[edges.push({ edge_id: edges.length + 1, ...data }) - 1]);
+
+    return { nodes, edges };
+}
+
+const nodeFeature = (properties, coordinates = [0, 0]) => ({
+    type: 'Feature',
+    geometry: coordinates ? { type: 'Point', coordinates } : null,
+    properties: { kind: 'node', ...properties }
+});
+const edgeFeature = (from, to, properties) => ({
+    type: 'Feature',
+    geometry: null,
+    properties: { kind: 'edge', from_node_code: from, to_node_code: to, ...properties }
+});
+const collection = features => ({ type: 'FeatureCollection', features });
+
+test('a reversed edge keeps the stored direction and bearing', async (t) => {
+    const db = serveCampus(t, {
+        nodes: [{ node_id: 1, node_code: 'A', campus_id: 1 }, { node_id: 2, node_code: 'B', campus_id: 1 }],
+        edges: [{ edge_id: 1, from_node_id: 1, to_node_id: 2, distance: 10, compass_angle: 90 }]
+    });
+
+    // B->A walking west (270°) is the stored A->B edge walking east (90°)
+    const report = await importCampusGraph(1, collection([edgeFeature('B', 'A', { distance: 12, compass_angle: 270 })]));
+    assert.deepStrictEqual(report.updated.edges, ['B->A']);
+    assert.deepStrictEqual(
+        db.edges.map(({ from_node_id, to_node_id, distance, compass_angle }) => ({ from_node_id, to_node_id, distance, compass_angle })),
+        [{ from_node_id: 1, to_node_id: 2, distance: 12, compass_angle: 90 }]
+    );
+
+    // Re-importing the same file does not turn it again
+    await importCampusGraph(1, collection([edgeFeature('B', 'A', { compass_angle: 270 })]));
+    assert.strictEqual(db.edges[0].compass_angle, 90);
+
+    await importCampusGraph(1, collection([edgeFeature('A', 'B', { compass_angle: 45 })]));
+    assert.strictEqual(db.edges[0].compass_angle, 45, 'same direction is stored as given');
+});
+
+test('invalid node and edge features are reported, the rest imported', async (t) => {
+    const db = serveCampus(t);
+
+    const report = await importCampusGraph(1, collection([
+        nodeFeature({ node_code: 'OK1', name: 'Gate' }, [1, 2]),
+        nodeFeature({ node_code: 'BADX', name: 'Bad' }, ['east', 2]),
+        nodeFeature({ name: 'No code' }),
+        nodeFeature({ node_code: 'NONAME' }),
+        nodeFeature({ node_code: 'FLOOR', name: 'Floor', floor_level: 'second' }),
+        nodeFeature({ node_code: 'FAR', name: 'Far' }, [1e12, 0]),
+        nodeFeature({ node_code: 'OK2', name: 'Hall', floor_level: '1' }, ['3.5', '4']),
+        edgeFeature('OK1', 'OK2', { distance: 'far' }),
+        edgeFeature('OK1', 'OK2', { distance: 5, compass_angle: 400 }),
+        edgeFeature('OK1', 'OK2', { distance: 5, compass_angle: 0 })
+    ]));
+
+    assert.deepStrictEqual(report.created.nodes, ['OK1', 'OK2']);
+    assert.deepStrictEqual(report.created.edges, ['OK1->OK2']);
+    assert.deepStrictEqual(report.rejected.map(({ index, reason }) => [index, reason]), [
+        [1, 'Point coordinates must be numbers between -99999999.99 and 99999999.99'],
+        [2, 'node_code must be a non-empty string'],
+        [3, 'name must be a non-empty string'],
+        [4, 'floor_level must be a whole number'],
+        [5, 'Point coordinates must be numbers between -99999999.99 and 99999999.99'],
+        [7, 'distance must be a positive number'],
+        [8, 'compass_angle must be a number from 0 up to 360']
+    ]);
+    assert.deepStrictEqual([db.nodes[1].map_x, db.nodes[1].map_y], [3.5, 4]);
+});
+
+test('node codes still held by trashed nodes are rejected', async (t) => {
+    const db = serveCampus(t, { nodes: [{ node_id: 7, node_code: 'GATE', campus_id: 1, deleted_at: new Date() }] });
+
+    const report = await importCampusGraph(1, collection([nodeFeature({ node_code: 'GATE', name: 'Gate' })]));
+    assert.deepStrictEqual(report.rejected.map(({ id, reason }) => ({ id, reason })),
+        [{ id: 'GATE', reason: 'node_code belongs to node #7 in the trash; restore it first' }]);
+    assert.strictEqual(db.nodes.length, 1, 'no duplicate is created');
+});
+
+test('nodes without a campus are not claimed by an import', async (t) => {
+    const db = serveCampus(t, { nodes: [{ node_id: 8, node_code: 'KIOSK', campus_id: null }] });
+
+    const report = await importCampusGraph(1, collection([nodeFeature({ node_code: 'KIOSK', name: 'Kiosk' })]));
+    assert.deepStrictEqual(report.rejected.map(({ id, reason }) => ({ id, reason })),
+        [{ id: 'KIOSK', reason: 'node_code belongs to a node without a campus' }]);
+    assert.strictEqual(db.nodes[0].campus_id, null);
+});
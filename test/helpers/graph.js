@@ -0,0 +1,101 @@
+// Synthetic navigation graphs for the pathfinder tests, served from memory
+// in place of the database queries buildGraph() makes
+
+const { Campus, Nodes, Edges, Closure, FloorPlan } = require('../../models');
+
+/**
+ * Grid of width x height nodes, spacing map units apart, with an edge
+ * between every pair of horizontal/vertical neighbours
+ * Node codes are "N<x>_<y>"; map coordinates are in campus map units.
+ */
+function gridGraph(width, height, { spacing = 10, campusId = 1, floorLevel = 0, firstId = 1 } = {}) {
+    const nodes = [];
+    const edges = [];
+    const idAt = (x, y) => firstId + y * width + x;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            nodes.push(node(idAt(x, y), `N${x}_${y}`, { map_x: x * spacing, map_y: y * spacing, campus_id: campusId, floor_level: floorLevel }));
+            if (x > 0) edges.push(edge(idAt(x - 1, y), idAt(x, y), spacing, 90));
+            if (y > 0) edges.push(edge(idAt(x, y - 1), idAt(x, y), spacing, 180));
+        }
+    }
+    return { nodes, edges };
+}
+
+function node(node_id, node_code, fields = {}) {
+    return {
+        node_id,
+        node_code,
+        name: fields.name || node_code,
+        building: null,
+        floor_level: 0,
+        type_of_node: 'hallway',
+        image360: null,
+        map_x: null,
+        map_y: null,
+        annotation: null,
+        delay_seconds: 0,
+        campus_id: 1,
+        ...fields
+    };
+}
+
+let nextEdgeId = 1;
+
+function edge(from_node_id, to_node_id, distance, compass_angle = null, fields = {}) {
+    return {
+        edge_id: nextEdgeId++,
+        from_node_id,
+        to_node_id,
+        distance,
+        compass_angle,
+        is_staircase: false,
+        is_ramp: false,
+        slope_percent: 0,
+        is_narrow_door: false,
+        is_restricted: false,
+        is_active: true,
+        ...fields
+    };
+}
+
+/**
+ * Point the models buildGraph() reads at an in-memory graph
+ * @param {Object} graph - { nodes, edges, campuses?, floorPlans? }
+ * @param {Object} options - { delayMs } simulated database round trip per query
+ * @returns {Object} { queries, restore } where queries counts the finder calls per model
+ */
+function serveGraph(graph, { delayMs = 0 } = {}) {
+    const campuses = graph.campuses || [{ id: 1, map_scale: 1 }];
+    const queries = { Campus: 0, Nodes: 0, Edges: 0, Closure: 0, FloorPlan: 0, findOne: 0 };
+    const originals = [];
+
+    const replace = (model, method, rows) => {
+        originals.push([model, method, model[method]]);
+        model[method] = async () => {
+            queries[method === 'findAll' ? model.name : method]++;
+            if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+            return rows();
+        };
+    };
+
+    replace(Campus, 'findAll', () => campuses);
+    replace(FloorPlan, 'findAll', () => graph.floorPlans || []);
+    replace(Nodes, 'findAll', () => graph.nodes.map(row => ({ ...row, toJSON: () => ({ ...row }) })));
+    replace(Edges, 'findAll', () => graph.edges.filter(row => row.is_active));
+    replace(Closure, 'findAll', () => []);
+    replace(Nodes, 'findOne', () => null);
+
+    return {
+        queries,
+        restore: () => originals.reverse().forEach(([model, method, original]) => { model[method] = original; })
+    };
+}
+
+module.exports = {
+    gridGraph,
+    node,
+    edge,
+    serveGraph
+};
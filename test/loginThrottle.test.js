@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Op } = require('sequelize');
+const { FailedLogin } = require('../models');
+const loginThrottle = require('../src/services/loginThrottle');
+
+test('failed sign-ins older than the retention are purged', async (t) => {
+    let where;
+    const destroy = FailedLogin.destroy;
+    FailedLogin.destroy = async (options) => { where = options.where; return 3; };
+    t.after(() => { FailedLogin.destroy = destroy; });
+
+    const now = new Date('2026-03-31T00:00:00Z');
+    assert.strictEqual(await loginThrottle.purgeFailedLogins(now), 3);
+    assert.deepStrictEqual(where.created_at[Op.lt], new Date('2026-03-01T00:00:00Z'), 'default retention is 30 days');
+});
+
+// One failed attempt: reserved, password rejected, event recorded
+async function fail(username, ip) {
+    const reservation = await loginThrottle.reserveAttempt(username, ip);
+    if (reservation.allowed) await loginThrottle.recordFailure({ username, ip, reason: 'wrong_password', locked: reservation.locked });
+    return reservation;
+}
+
+function serveClock(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-05-01T08:00:00Z') });
+    t.mock.method(FailedLogin, 'create', async (row) => row);
+}
+
+test('parallel attempts are counted before the password is checked', async (t) => {
+    serveClock(t);
+
+    const reservations = await Promise.all(Array.from({ length: 10 }, () => loginThrottle.reserveAttempt('burst', '10.0.0.1')));
+    assert.strictEqual(reservations.filter(reservation => reservation.allowed).length, 1);
+    assert.ok(reservations.filter(reservation => !reservation.allowed).every(reservation => reservation.retryAfter === 1));
+});
+
+test('failures back off exponentially, then lock the username', async (t) => {
+    serveClock(t);
+
+    for (const [failures, delay] of [[1, 1], [2, 2], [3, 4], [4, 8]]) {
+        assert.deepStrictEqual(await fail('alice', '10.0.0.2'), { allowed: true, retryAfter: delay, locked: false, ipFailures: failures });
+        assert.deepStrictEqual(await fail('alice', '10.0.0.2'), { allowed: false, retryAfter: delay, locked: false });
+        t.mock.timers.tick(delay * 1000);
+    }
+
+    // The fifth failure reaches LOGIN_MAX_ATTEMPTS_PER_USERNAME
+    const locked = await fail('alice', '10.0.0.2');
+    assert.strictEqual(locked.locked, true);
+    assert.strictEqual(locked.retryAfter, 15 * 60);
+    t.mock.timers.tick(14 * 60 * 1000);
+    assert.deepStrictEqual(await fail('alice', '10.0.0.3'), { allowed: false, retryAfter: 60, locked: true });
+
+    t.mock.timers.tick(60 * 1000);
+    assert.strictEqual((await fail('alice', '10.0.0.3')).allowed, true, 'the lockout ends');
+});
+
+test('a successful sign-in takes its reserved attempt back', async (t) => {
+    serveClock(t);
+
+    const reservation = await loginThrottle.reserveAttempt('bob', '10.0.0.4');
+    await loginThrottle.recordSuccess('bob', '10.0.0.4', reservation);
+
+    // Another account behind the same address is not held up by bob's sign-in
+    assert.strictEqual((await loginThrottle.reserveAttempt('carol', '10.0.0.4')).allowed, true);
+    assert.deepStrictEqual((await loginThrottle.listLockouts()).filter(entry => entry.value === 'bob'), []);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PathFinder, MAX_ALTERNATIVES } = require('../src/services/pathfinding');
+const { gridGraph, node, edge, serveGraph } = require('./helpers/graph');
+
+const edgeIds = result => result.path.slice(1).map(step => step.edge_id);
+
+async function pathfinderFor(graph, t) {
+    const db = serveGraph(graph);
+    t.after(db.restore);
+    const pathfinder = new PathFinder();
+    await pathfinder.ensureGraph();
+    return pathfinder;
+}
+
+test('returns the distinct corridors of a graph that has them', async (t) => {
+    // Three corridors from A to B: 20 m via X, 30 m via Y1-Y2, 40 m via Z1-Z3
+    const nodes = ['A', 'B', 'X', 'Y1', 'Y2', 'Z1', 'Z2', 'Z3'].map((code, i) => node(i + 1, code));
+    const id = code => nodes.find(n => n.node_code === code).node_id;
+    const corridor = codes => codes.slice(1).map((code, i) => edge(id(codes[i]), id(code), 10));
+    const edges = [
+        ...corridor(['A', 'X', 'B']),
+        ...corridor(['A', 'Y1', 'Y2', 'B']),
+        ...corridor(['A', 'Z1', 'Z2', 'Z3', 'B'])
+    ];
+    const pathfinder = await pathfinderFor({ nodes, edges }, t);
+
+    const result = await pathfinder.getDirections('A', 'B', { alternatives: 3 });
+    assert.deepStrictEqual(result.path.map(step => step.node_code), ['A', 'X', 'B']);
+    assert.deepStrictEqual(
+        result.alternatives.map(alternative => alternative.path.map(step => step.node_code)),
+        [['A', 'Y1', 'Y2', 'B'], ['A', 'Z1', 'Z2', 'Z3', 'B']]
+    );
+    assert.deepStrictEqual(result.alternatives.map(alternative => alternative.total_distance), [30, 40]);
+    for (const alternative of result.alternatives) {
+        assert.ok(alternative.directions.length > 0);
+        assert.strictEqual(alternative.stair_edges, 0);
+        assert.strictEqual(alternative.floors_crossed, 0);
+    }
+});
+
+test('skips detours that mostly follow an accepted route', async (t) => {
+    // A long shared hallway H1-H2-H3 with a one-edge bypass: not meaningfully different
+    const nodes = ['A', 'H1', 'H2', 'H3', 'B', 'P'].map((code, i) => node(i + 1, code));
+    const id = code => nodes.find(n => n.node_code === code).node_id;
+    const edges = [
+        edge(id('A'), id('H1'), 50), edge(id('H1'), id('H2'), 50), edge(id('H2'), id('H3'), 50), edge(id('H3'), id('B'), 10),
+        edge(id('H3'), id('P'), 8), edge(id('P'), id('B'), 8)
+    ];
+    const pathfinder = await pathfinderFor({ nodes, edges }, t);
+
+    const result = await pathfinder.getDirections('A', 'B', { alternatives: 2 });
+    assert.deepStrictEqual(result.alternatives, []);
+});
+
+test('finds distinct alternatives on a large grid within the work budget', async (t) => {
+    const pathfinder = await pathfinderFor(gridGraph(50, 50), t);
+
+    let expanded = 0;
+    const search = pathfinder.search.bind(pathfinder);
+    pathfinder.search = (...args) => {
+        const found = search(...args);
+        expanded += found.expanded;
+        return found;
+    };
+
+    const started = Date.now();
+    const result = await pathfinder.getDirections('N0_0', 'N49_49', { alternatives: 100 });
+    const elapsed = Date.now() - started;
+
+    assert.ok(result.alternatives.length > 0 && result.alternatives.length <= MAX_ALTERNATIVES,
+        `${result.alternatives.length} alternatives`);
+
+    const routes = [result, ...result.alternatives];
+    for (let i = 0; i < routes.length; i++) {
+        for (let j = i + 1; j < routes.length; j++) {
+            const shared = edgeIds(routes[i]).filter(edgeId => edgeIds(routes[j]).includes(edgeId)).length;
+            assert.ok(shared / edgeIds(routes[i]).length <= 0.7, `routes ${i} and ${j} share ${shared} edges`);
+        }
+    }
+
+    // One search for the shortest route, one per tried alternative; each expands at most every node once
+    assert.ok(expanded <= 2500 * (1 + MAX_ALTERNATIVES * 4), `${expanded} nodes expanded`);
+    t.diagnostic(`${result.alternatives.length} alternatives, ${expanded} nodes expanded in ${elapsed} ms`);
+});
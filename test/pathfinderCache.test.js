@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Nodes, Edges } = require('../models');
+const { getPathfinder } = require('../src/services/pathfinding');
+const { gridGraph, serveGraph } = require('./helpers/graph');
+
+// Every query waits this long, like a round trip to a remote database
+const DB_DELAY_MS = 25;
+const REQUESTS = 200;
+
+test('route requests are answered from the cached graph', async (t) => {
+    const db = serveGraph(gridGraph(40, 40), { delayMs: DB_DELAY_MS });
+    t.after(db.restore);
+
+    const codes = Array.from({ length: REQUESTS }, (_, i) => [`N${i % 40}_0`, `N${39 - (i % 40)}_39`]);
+    const started = Date.now();
+    const results = await Promise.all(codes.map(([start, goal]) => getPathfinder().findPath(start, goal)));
+    const elapsed = Date.now() - started;
+
+    assert.ok(results.every(result => result.success), 'every route is found');
+    assert.strictEqual(db.queries.Nodes, 1, 'concurrent requests share one graph build');
+    assert.strictEqual(db.queries.Edges, 1);
+    assert.strictEqual(db.queries.findOne, 0, 'node codes are resolved from memory');
+
+    // One build (five queries) is the only database time; per-request round trips would add REQUESTS * DB_DELAY_MS
+    assert.ok(elapsed < (REQUESTS * DB_DELAY_MS) / 2, `${REQUESTS} routes took ${elapsed} ms`);
+    t.diagnostic(`${REQUESTS} routes in ${elapsed} ms with a ${DB_DELAY_MS} ms database round trip`);
+
+    // A warm cache answers without touching the database at all
+    const warmStarted = Date.now();
+    for (const [start, goal] of codes) await getPathfinder().findPath(start, goal);
+    const warmElapsed = Date.now() - warmStarted;
+    assert.strictEqual(db.queries.Nodes, 1);
+    assert.ok(warmElapsed < REQUESTS * DB_DELAY_MS, `warm routes took ${warmElapsed} ms`);
+    t.diagnostic(`${REQUESTS} sequential warm routes in ${warmElapsed} ms`);
+});
+
+test('model hooks invalidate the graph after admin edits', async (t) => {
+    const graph = gridGraph(3, 1);
+    const db = serveGraph(graph);
+    t.after(db.restore);
+
+    await getPathfinder().findPath('N0_0', 'N2_0');
+    await getPathfinder().findPath('N0_0', 'N2_0');
+    const builds = db.queries.Nodes;
+
+    // Deactivate the middle node's edges; the update hook drops the cached graph
+    for (const row of graph.edges) row.is_active = false;
+    await Edges.runHooks('afterBulkUpdate', { model: Edges, where: {} });
+
+    const result = await getPathfinder().findPath('N0_0', 'N2_0');
+    assert.strictEqual(db.queries.Nodes, builds + 1, 'the graph is rebuilt once after the edit');
+    assert.strictEqual(result.code, 'NO_PATH');
+
+    // A new node is routable right after it is created
+    graph.nodes.push({ ...graph.nodes[0], node_id: 99, node_code: 'NEW' });
+    await Nodes.runHooks('afterCreate', {}, {});
+    const created = await getPathfinder().findPath('NEW', 'NEW');
+    assert.ok(created.success);
+    assert.strictEqual(db.queries.Nodes, builds + 2);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PathFinder } = require('../src/services/pathfinding');
+const { gridGraph, serveGraph } = require('./helpers/graph');
+
+// 3,600 nodes, 10 m apart (map_scale 1 metre per map unit)
+const SIZE = 60;
+const SPACING = 10;
+
+async function routeWith(campuses, start, goal) {
+    const db = serveGraph({ ...gridGraph(SIZE, SIZE, { spacing: SPACING }), campuses });
+    try {
+        return await new PathFinder().findPath(start, goal);
+    } finally {
+        db.restore();
+    }
+}
+
+test('the map-distance heuristic expands fewer nodes on a large campus', async (t) => {
+    // Not corner to opposite corner: on a grid every node there lies on some shortest path,
+    // so any admissible heuristic still has to expand nearly all of them
+    const pairs = [['N10_30', 'N50_30'], ['N5_5', 'N40_20'], ['N30_30', 'N30_55']];
+
+    for (const [start, goal] of pairs) {
+        // Without a map scale the heuristic is the floor distance alone (0 here), i.e. Dijkstra
+        const unscaled = await routeWith([{ id: 1, map_scale: null }], start, goal);
+        const scaled = await routeWith([{ id: 1, map_scale: 1 }], start, goal);
+
+        assert.strictEqual(scaled.total_distance, unscaled.total_distance, 'both find a shortest path');
+        assert.ok(scaled.nodes_expanded < unscaled.nodes_expanded / 2,
+            `${start} -> ${goal}: ${scaled.nodes_expanded} expanded with the map heuristic, ${unscaled.nodes_expanded} without`);
+        t.diagnostic(`${start} -> ${goal}: ${scaled.nodes_expanded} vs ${unscaled.nodes_expanded} nodes expanded`);
+    }
+});
+
+test('the heuristic never overestimates the remaining distance', async (t) => {
+    const db = serveGraph(gridGraph(20, 20, { spacing: SPACING }));
+    t.after(db.restore);
+
+    const pathfinder = new PathFinder();
+    await pathfinder.ensureGraph();
+    for (const [start, goal] of [['N0_0', 'N19_19'], ['N3_17', 'N12_2'], ['N7_7', 'N7_8']]) {
+        const result = await pathfinder.findPath(start, goal);
+        const estimate = pathfinder.heuristic(result.start.node_id, result.goal.node_id);
+        assert.ok(estimate > 0 && estimate <= result.total_cost, `${estimate} <= ${result.total_cost}`);
+    }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PathFinder } = require('../src/services/pathfinding');
+const { gridGraph, node, edge, serveGraph } = require('./helpers/graph');
+
+async function validate(graph, t) {
+    const db = serveGraph(graph);
+    t.after(db.restore);
+    return new PathFinder().validateGraph();
+}
+
+test('separate campuses are not reported as islands of each other', async (t) => {
+    const main = gridGraph(4, 4, { campusId: 1 });
+    const annex = gridGraph(2, 2, { campusId: 2, firstId: 100 });
+    const report = await validate({
+        nodes: [...main.nodes, ...annex.nodes.map(n => ({ ...n, node_code: `A${n.node_code}` }))],
+        edges: [...main.edges, ...annex.edges],
+        campuses: [{ id: 1, map_scale: 1 }, { id: 2, map_scale: 1 }]
+    }, t);
+
+    assert.deepStrictEqual(report.findings.error, []);
+    assert.strictEqual(report.valid, true);
+});
+
+test('islands are reported within their own campus', async (t) => {
+    const main = gridGraph(4, 4, { campusId: 1 });
+    const annex = gridGraph(3, 1, { campusId: 2, firstId: 100 });
+    const nodes = [
+        ...main.nodes,
+        ...annex.nodes.map(n => ({ ...n, node_code: `A${n.node_code}` })),
+        node(200, 'LOST1', { campus_id: 1 }),
+        node(201, 'LOST2', { campus_id: 1 }),
+        node(202, 'ANNEX_SHED', { campus_id: 2 })
+    ];
+    const report = await validate({
+        nodes,
+        edges: [...main.edges, ...annex.edges, edge(200, 201, 5, 0)],
+        campuses: [{ id: 1, map_scale: 1 }, { id: 2, map_scale: 1 }]
+    }, t);
+
+    const islands = report.findings.error.filter(finding => finding.check === 'disconnected_island');
+    assert.deepStrictEqual(
+        islands.map(island => [island.campus_id, island.node_ids.sort((a, b) => a - b)]),
+        [[1, [200, 201]], [2, [202]]]
+    );
+    assert.strictEqual(report.valid, false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { FloorPlan } = require('../models');
+const { PathFinder } = require('../src/services/pathfinding');
+const { renderRouteSvg, clearImageCache } = require('../src/services/routeSvg');
+const { gridGraph, serveGraph } = require('./helpers/graph');
+
+// Smallest PNG header imageSize() can measure: 640 x 480
+function png() {
+    const buffer = Buffer.alloc(24);
+    buffer.writeUInt32BE(0x89504e47, 0);
+    buffer.writeUInt32BE(640, 16);
+    buffer.writeUInt32BE(480, 20);
+    return buffer;
+}
+
+async function setup(t, respond) {
+    const db = serveGraph(gridGraph(3, 1));
+    const route = await new PathFinder().findPath('N0_0', 'N2_0');
+    db.restore();
+
+    const originalFindOne = FloorPlan.findOne;
+    const originalFetch = global.fetch;
+    FloorPlan.findOne = async () => ({ image_url: 'https://images.example/plan.png' });
+    const fetches = [];
+    global.fetch = async (url) => {
+        fetches.push(url);
+        return respond(url);
+    };
+    t.after(() => {
+        FloorPlan.findOne = originalFindOne;
+        global.fetch = originalFetch;
+        clearImageCache();
+    });
+    return { route, fetches };
+}
+
+const ok = () => new Response(png(), { headers: { 'content-type': 'image/png' } });
+
+test('floor plan images are downloaded once and reused', async (t) => {
+    const { route, fetches } = await setup(t, ok);
+
+    const svgs = await Promise.all([renderRouteSvg(route), renderRouteSvg(route)]);
+    await renderRouteSvg(route);
+
+    assert.strictEqual(fetches.length, 1);
+    for (const svg of svgs) assert.match(svg, /href="data:image\/png;base64,/);
+});
+
+test('updating a floor plan clears the cached images', async (t) => {
+    const { route, fetches } = await setup(t, ok);
+
+    await renderRouteSvg(route);
+    await FloorPlan.runHooks('afterBulkUpdate', { model: FloorPlan, where: { id: 1 } });
+    await renderRouteSvg(route);
+
+    assert.strictEqual(fetches.length, 2);
+});
+
+test('a failed download is not retried on every request', async (t) => {
+    const { route, fetches } = await setup(t, () => new Response('missing', { status: 404 }));
+
+    const svg = await renderRouteSvg(route);
+    await renderRouteSvg(route);
+
+    assert.doesNotMatch(svg, /data:image/);
+    assert.strictEqual(fetches.length, 1);
+});
+
+test('the declared content type is only used when it is a known image type', async (t) => {
+    const { route } = await setup(t, () => new Response(png(), { headers: { 'content-type': 'image/png" onload="alert(1)' } }));
+
+    const svg = await renderRouteSvg(route);
+
+    assert.match(svg, /href="data:image\/png;base64,/);
+    assert.doesNotMatch(svg, /onload/);
+});
+
+test('oversized floor plan images are not embedded', async (t) => {
+    const huge = Buffer.concat([png(), Buffer.alloc(8 * 1024 * 1024)]);
+    const { route } = await setup(t, () => new Response(huge, { headers: { 'content-type': 'image/png' } }));
+
+    assert.doesNotMatch(await renderRouteSvg(route), /data:image/);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getProfile, listProfiles } = require('../src/services/routingProfiles');
+
+test('only defined profiles are found', () => {
+    for (const { name } of listProfiles()) assert.strictEqual(getProfile(name).name, name);
+    assert.strictEqual(getProfile().name, 'default');
+
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'nope', 42, ['default'], null]) {
+        assert.strictEqual(getProfile(name), null, `${String(name)} is not a profile`);
+    }
+});
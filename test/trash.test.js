@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Op } = require('sequelize');
+const models = require('../models');
+const { getPathfinder } = require('../src/services/pathfinding');
+const { moveToTrash, restoreFromTrash, listTrash } = require('../src/services/trash');
+
+// Just enough of Model.findAll/findByPk/update/destroy over in-memory rows for the trash service
+function matches(row, where) {
+    return Object.entries(where).every(([field, condition]) => {
+        if (Array.isArray(condition)) return condition.includes(row[field]);
+        if (condition instanceof Date) return row[field] instanceof Date && row[field].getTime() === condition.getTime();
+        if (condition && typeof condition === 'object' && Op.ne in condition) return (row[field] ?? null) !== condition[Op.ne];
+        return row[field] === condition;
+    });
+}
+
+function serveTables(t, tables) {
+    for (const model of Object.values(models)) {
+        if (!model || !model.rawAttributes) continue;
+        const rows = tables[model.name] || [];
+        const key = model.primaryKeyAttribute;
+        const visible = (options = {}) => rows.filter(row =>
+            (options.paranoid === false || !model.options.paranoid || !row.deleted_at) && matches(row, options.where || {}));
+
+        t.mock.method(model, 'findAll', async (options) => visible(options).map(row => ({ ...row })));
+        t.mock.method(model, 'findByPk', async (id, options) => visible({ ...options, where: { [key]: Number(id) } })[0] || null);
+        t.mock.method(model, 'update', async (values, options) => {
+            const updated = visible(options);
+            for (const row of updated) Object.assign(row, values);
+            return [updated.length];
+        });
+        t.mock.method(model, 'destroy', async (options) => {
+            const removed = visible(options);
+            for (const row of removed) rows.splice(rows.indexOf(row), 1);
+            return removed.length;
+        });
+    }
+    t.mock.method(models.sequelize, 'transaction', async () => ({ commit: async () => {}, rollback: async () => {} }));
+}
+
+function campusTables() {
+    return {
+        Campus: [{ id: 1, name: 'Main' }, { id: 2, name: 'Annex' }],
+        Department: [{ id: 1, name: 'Engineering', campus_id: 1 }],
+        Facility: [{ id: 1, name: 'Lab', department_id: 1 }],
+        Office: [{ id: 1, name: 'Registrar', campus_id: 1 }],
+        Nodes: [
+            { node_id: 10, name: 'Gate', campus_id: 1 },
+            { node_id: 11, name: 'Hall', campus_id: 1 },
+            { node_id: 20, name: 'Annex Gate', campus_id: 2 }
+        ],
+        Edges: [
+            { edge_id: 100, from_node_id: 10, to_node_id: 11 },
+            { edge_id: 101, from_node_id: 11, to_node_id: 20 }
+        ],
+        // Closes the Main hallway and the Annex gate
+        Closure: [{ id: 1, reason: 'Repairs' }],
+        ClosureNode: [{ closure_id: 1, node_id: 11 }, { closure_id: 1, node_id: 20 }],
+        ClosureEdge: [{ closure_id: 1, edge_id: 100 }],
+        FloorPlan: [{ id: 1, campus_id: 1, image_url: '/plans/main.png' }],
+        Tour: [{ id: 1, name: 'Welcome', campus_id: 1 }],
+        CampusPhoto: [{ id: 1, campus_id: 1, image_url: '/photos/main.jpg' }]
+    };
+}
+
+const trashed = (tables) => Object.entries(tables)
+    .flatMap(([name, rows]) => rows.filter(row => row.deleted_at).map(row => `${name}:${row.id || row.node_id || row.edge_id}`))
+    .sort();
+
+test('a campus is trashed with its departments, offices, tours, floor plans and navigation graph', async (t) => {
+    const tables = campusTables();
+    serveTables(t, tables);
+
+    const pathfinder = getPathfinder();
+    assert.strictEqual(await moveToTrash('campus', 1), true);
+    assert.notStrictEqual(getPathfinder(), pathfinder, 'the cached graph is dropped after the commit');
+
+    assert.deepStrictEqual(trashed(tables), [
+        'Campus:1', 'CampusPhoto:1', 'Department:1', 'Edges:100', 'Edges:101',
+        'Facility:1', 'FloorPlan:1', 'Nodes:10', 'Nodes:11', 'Office:1', 'Tour:1'
+    ]);
+    // The closure still covers the Annex gate; only its links into the trashed campus are gone
+    assert.deepStrictEqual(tables.ClosureNode, [{ closure_id: 1, node_id: 20 }]);
+    assert.deepStrictEqual(tables.ClosureEdge, []);
+    const deletedAt = tables.Campus[0].deleted_at.getTime();
+    assert.ok(trashed(tables).every(item => {
+        const [name, id] = item.split(':');
+        const row = tables[name].find(r => String(r.id || r.node_id || r.edge_id) === id);
+        return row.deleted_at.getTime() === deletedAt;
+    }), 'everything shares the campus deleted_at');
+
+    const items = await listTrash();
+    assert.deepStrictEqual(items.map(item => [item.type, item.id, item.children]), [['campus', 1, 10]]);
+
+    for (const [type, id] of [['department', 1], ['node', 10], ['edge', 100], ['tour', 1]]) {
+        const result = await restoreFromTrash(type, id);
+        assert.ok(result.error && result.error.includes('first'), `${type} ${id}: ${result.error}`);
+    }
+
+    const before = getPathfinder();
+    assert.deepStrictEqual((await restoreFromTrash('campus', 1)).data, { type: 'campus', id: 1, restored: true });
+    assert.notStrictEqual(getPathfinder(), before);
+    assert.deepStrictEqual(trashed(tables), []);
+});
+
+test('shared children wait until all of their trashed owners are restored', async (t) => {
+    const tables = campusTables();
+    serveTables(t, tables);
+    t.mock.method(Date, 'now', () => Date.parse('2026-05-01T08:00:00Z'));
+    await moveToTrash('campus', 1);
+
+    // The Annex gate is deleted later on its own; edge 101 also belongs to it and the closure covers nothing else
+    Date.now.mock.mockImplementation(() => Date.parse('2026-05-01T09:00:00Z'));
+    await moveToTrash('node', 20);
+    assert.ok(tables.Closure[0].deleted_at, 'a closure goes with the last node it covers');
+    assert.deepStrictEqual(tables.ClosureNode, [{ closure_id: 1, node_id: 20 }]);
+
+    await restoreFromTrash('campus', 1);
+    assert.deepStrictEqual(trashed(tables), ['Closure:1', 'Edges:101', 'Nodes:20']);
+
+    const items = await listTrash();
+    assert.deepStrictEqual(items.map(item => [item.type, item.id, item.children]), [['node', 20, 1], ['edge', 101, 0]]);
+    assert.strictEqual(items.find(item => item.type === 'edge').label, 'edge #101');
+    assert.match((await restoreFromTrash('edge', 101)).error, /Restore node 20 first/);
+    assert.match((await restoreFromTrash('closure', 1)).error, /Restore node 20 first/);
+
+    await restoreFromTrash('node', 20);
+    assert.strictEqual(tables.Closure[0].deleted_at, null, 'the closure comes back with its node');
+    assert.deepStrictEqual(await restoreFromTrash('edge', 101), { data: { type: 'edge', id: 101, restored: true } });
+    assert.deepStrictEqual(trashed(tables), []);
+});